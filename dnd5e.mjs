@@ -174,6 +174,11 @@ Hooks.once("init", function() {
     types: ["spells"]
   });
 
+  DocumentSheetConfig.registerSheet(ActiveEffect, "dnd5e", applications.ActiveEffectConfig5e, {
+    makeDefault: true,
+    label: "DND5E.SheetClassActiveEffect"
+  });
+
   CONFIG.Token.prototypeSheetClass = applications.TokenConfig5e;
   DocumentSheetConfig.unregisterSheet(TokenDocument, "core", TokenConfig);
   DocumentSheetConfig.registerSheet(TokenDocument, "dnd5e", applications.TokenConfig5e, {
@@ -512,9 +517,13 @@ Hooks.on("getChatLogEntryContext", documents.ChatMessage5e.addChatMessageContext
 
 Hooks.on("renderChatLog", (app, html, data) => {
   documents.Item5e.chatListeners(html);
+  documents.Actor5e.chatListeners(html);
   documents.ChatMessage5e.onRenderChatLog(html);
 });
-Hooks.on("renderChatPopout", (app, html, data) => documents.Item5e.chatListeners(html));
+Hooks.on("renderChatPopout", (app, html, data) => {
+  documents.Item5e.chatListeners(html);
+  documents.Actor5e.chatListeners(html);
+});
 
 Hooks.on("chatMessage", (app, message, data) => applications.Award.chatMessage(message));
 
@@ -526,6 +535,9 @@ Hooks.on("getItemDirectoryEntryContext", documents.Item5e.addDirectoryContextOpt
 
 Hooks.on("renderJournalPageSheet", applications.journal.JournalSheet5e.onRenderJournalPageSheet);
 
+Hooks.on("renderTokenHUD", canvas.Token5e.onRenderTokenHUD);
+Hooks.on("updateWorldTime", documents.Actor5e.onUpdateWorldTime);
+Hooks.on("updateWorldTime", dataModels.item.SummonsData.onUpdateWorldTime);
 Hooks.on("targetToken", canvas.Token5e.onTargetToken);
 
 /* -------------------------------------------- */
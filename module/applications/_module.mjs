@@ -6,6 +6,7 @@ export * as item from "./item/_module.mjs";
 export * as journal from "./journal/_module.mjs";
 
 export {default as Accordion} from "./accordion.mjs";
+export {default as ActiveEffectConfig5e} from "./active-effect-config.mjs";
 export {default as Award} from "./award.mjs";
 export {default as ContextMenu5e} from "./context-menu.mjs";
 export {default as CurrencyManager} from "./currency-manager.mjs";
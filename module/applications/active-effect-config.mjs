@@ -0,0 +1,84 @@
+/**
+ * Custom active effect configuration application for handling system-specific effect data.
+ */
+export default class ActiveEffectConfig5e extends ActiveEffectConfig {
+
+  /**
+   * Template used to render the combat expiration configuration.
+   * @type {string}
+   */
+  static expirationTemplate = "systems/dnd5e/templates/effects/parts/effect-expiration.hbs";
+
+  /* -------------------------------------------- */
+
+  /**
+   * Template used to render the ongoing damage & saving throw configuration.
+   * @type {string}
+   */
+  static ongoingTemplate = "systems/dnd5e/templates/effects/parts/effect-ongoing.hbs";
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async _render(...args) {
+    await super._render(...args);
+    if ( !this.rendered ) return;
+    await this._addExpirationConfiguration(this.element[0]);
+    await this._addOngoingConfiguration(this.element[0]);
+    this.setPosition({ height: "auto" });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add a section for configuring when this effect expires during combat.
+   * @param {HTMLElement} html  The rendered markup.
+   * @protected
+   */
+  async _addExpirationConfiguration(html) {
+    const tab = html.querySelector('.tab[data-tab="duration"]');
+    if ( !tab ) return;
+    const section = document.createElement("div");
+    section.innerHTML = await renderTemplate(this.constructor.expirationTemplate, {
+      expiration: this.document.getFlag("dnd5e", "expiration") ?? {},
+      events: {
+        turnStart: "DND5E.EffectExpiration.Event.TurnStart",
+        turnEnd: "DND5E.EffectExpiration.Event.TurnEnd"
+      },
+      combatants: {
+        target: "DND5E.EffectExpiration.Combatant.Target",
+        origin: "DND5E.EffectExpiration.Combatant.Origin"
+      }
+    });
+    const fieldset = section.querySelector("fieldset");
+    fieldset.querySelectorAll("select").forEach(s => s.addEventListener("change", this._onChangeInput.bind(this)));
+    tab.append(fieldset);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add a section for configuring damage and saving throws that occur each turn while the effect is active.
+   * @param {HTMLElement} html  The rendered markup.
+   * @protected
+   */
+  async _addOngoingConfiguration(html) {
+    const tab = html.querySelector('.tab[data-tab="details"]');
+    if ( !tab ) return;
+    const section = document.createElement("div");
+    section.innerHTML = await renderTemplate(this.constructor.ongoingTemplate, {
+      ongoing: this.document.getFlag("dnd5e", "ongoing") ?? {},
+      timings: {
+        turnStart: "DND5E.EffectExpiration.Event.TurnStart",
+        turnEnd: "DND5E.EffectExpiration.Event.TurnEnd"
+      },
+      damageTypes: { ...CONFIG.DND5E.damageTypes, ...CONFIG.DND5E.healingTypes },
+      abilities: CONFIG.DND5E.abilities
+    });
+    const fieldset = section.querySelector("fieldset");
+    fieldset.querySelectorAll("input, select").forEach(e => {
+      e.addEventListener("change", this._onChangeInput.bind(this));
+    });
+    tab.append(fieldset);
+  }
+}
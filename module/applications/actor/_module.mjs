@@ -20,7 +20,9 @@ export {default as LongRestDialog} from "./long-rest.mjs";
 export {default as ActorMovementConfig} from "./movement-config.mjs";
 export {default as ActorSensesConfig} from "./senses-config.mjs";
 export {default as ActorSheetFlags} from "./sheet-flags.mjs";
+export {default as RestDialog} from "./rest.mjs";
 export {default as ShortRestDialog} from "./short-rest.mjs";
+export {default as SpellPreparationManager} from "./spell-preparation-manager.mjs";
 export {default as ProficiencyConfig} from "./proficiency-config.mjs";
 export {default as TraitSelector} from "./trait-selector.mjs";
 export {default as ToolSelector} from "./tool-selector.mjs";
@@ -1,4 +1,5 @@
 import * as Trait from "../../documents/actor/trait.mjs";
+import { formatNumber } from "../../utils.mjs";
 import Item5e from "../../documents/item.mjs";
 import EffectsElement from "../components/effects.mjs";
 
@@ -17,6 +18,7 @@ import SourceConfig from "../source-config.mjs";
 
 import AdvancementConfirmationDialog from "../advancement/advancement-confirmation-dialog.mjs";
 import AdvancementManager from "../advancement/advancement-manager.mjs";
+import StartingEquipmentDialog from "../advancement/starting-equipment-dialog.mjs";
 
 import TraitSelector from "./trait-selector.mjs";
 import ProficiencyConfig from "./proficiency-config.mjs";
@@ -140,6 +142,8 @@ export default class ActorSheet5e extends ActorSheetMixin(ActorSheet) {
       isNPC: this.actor.type === "npc",
       isVehicle: this.actor.type === "vehicle",
       config: CONFIG.DND5E,
+      customRests: Object.fromEntries(Object.entries(CONFIG.DND5E.restTypes)
+        .filter(([type]) => !["short", "long"].includes(type))),
       rollableClass: this.isEditable ? "rollable" : "",
       rollData: this.actor.getRollData(),
       overrides: {
@@ -392,6 +396,18 @@ export default class ActorSheet5e extends ActorSheetMixin(ActorSheet) {
     const levels = context.actor.system.spells;
     const spellbook = {};
 
+    // Spellcasting values for each class, which may differ for multiclass casters
+    context.spellcastingClasses = Object.values(this.actor.spellcastingClasses).map(cls => {
+      const { ability, dc, attack } = cls.spellcasting;
+      if ( !ability ) return null;
+      return {
+        name: cls.name,
+        ability: CONFIG.DND5E.abilities[ability]?.abbreviation ?? ability,
+        attack: formatNumber(attack ?? 0, { signDisplay: "always" }),
+        dc
+      };
+    }).filter(_ => _);
+
     // Define section and label mappings
     const sections = Object.entries(CONFIG.DND5E.spellPreparationModes).reduce((acc, [k, {order}]) => {
       if ( Number.isNumeric(order) ) acc[k] = Number(order);
@@ -966,10 +982,17 @@ export default class ActorSheet5e extends ActorSheetMixin(ActorSheet) {
     items = items.filter(i => !containers.has(i.system.container));
 
     // Create the owned items & contents as normal
+    const firstClass = !this.actor.itemTypes.class.length;
     const toCreate = await Item5e.createWithContents(items, {
       transformFirst: item => this._onDropSingleItem(item.toObject())
     });
-    return Item5e.createDocuments(toCreate, {pack: this.actor.pack, parent: this.actor, keepId: true});
+    const created = await Item5e.createDocuments(toCreate, {
+      pack: this.actor.pack, parent: this.actor, keepId: true
+    });
+
+    // Offer starting equipment for a background or first class added without advancement
+    StartingEquipmentDialog.promptForItems(created, { firstClass });
+    return created;
   }
 
   /* -------------------------------------------- */
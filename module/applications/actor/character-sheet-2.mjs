@@ -1,10 +1,11 @@
 import CharacterData from "../../data/actor/character.mjs";
 import * as Trait from "../../documents/actor/trait.mjs";
-import { simplifyBonus, staticID } from "../../utils.mjs";
+import { formatNumber, simplifyBonus, staticID } from "../../utils.mjs";
 import ContextMenu5e from "../context-menu.mjs";
 import SheetConfig5e from "../sheet-config.mjs";
 import ActorSheet5eCharacter from "./character-sheet.mjs";
 import ActorSheetV2Mixin from "./sheet-v2-mixin.mjs";
+import SpellPreparationManager from "./spell-preparation-manager.mjs";
 
 /**
  * An Actor sheet for player character type actors.
@@ -186,16 +187,17 @@ export default class ActorSheet5eCharacter2 extends ActorSheetV2Mixin(ActorSheet
     for ( const item of Object.values(this.actor.classes).sort((a, b) => b.system.levels - a.system.levels) ) {
       const sc = item.spellcasting;
       if ( !sc?.progression || (sc.progression === "none") ) continue;
-      const ability = this.actor.system.abilities[sc.ability];
-      const mod = ability?.mod ?? 0;
+      const mod = sc.mod ?? 0;
       const attackBonus = msak === rsak ? msak : 0;
       const name = item.system.spellcasting.progression === sc.progression ? item.name : item.subclass?.name;
       context.spellcasting.push({
         label: game.i18n.format("DND5E.SpellcastingClass", { class: name }),
         ability: { mod, ability: sc.ability },
-        attack: mod + this.actor.system.attributes.prof + attackBonus,
+        attack: (sc.attack ?? this.actor.system.attributes.prof) + attackBonus,
         primary: this.actor.system.attributes.spellcasting === sc.ability,
-        save: ability?.dc ?? 0
+        save: sc.dc ?? 0,
+        classId: item.id,
+        preparation: item.system.spellPreparation?.spells
       });
     }
 
@@ -213,6 +215,32 @@ export default class ActorSheet5eCharacter2 extends ActorSheetV2Mixin(ActorSheet
     context.favorites = await this._prepareFavorites();
     context.favorites.sort((a, b) => a.sort - b.sort);
 
+    // Summons
+    context.summons = this.actor.summonedCreatures.reduce((arr, actor) => {
+      const token = actor?.token ?? actor?.getActiveTokens(false, true)[0];
+      if ( !token ) return arr;
+      const expiry = token.getFlag("dnd5e", "summon.expiry");
+      const minutes = Number.isFinite(expiry) ? Math.ceil((expiry - game.time.worldTime) / 60) : null;
+      arr.push({
+        uuid: token.uuid,
+        name: token.name,
+        img: token.texture.src || actor.img,
+        origin: fromUuidSync(actor.getFlag("dnd5e", "summon.origin"))?.name,
+        remaining: minutes > 0 ? formatNumber(minutes, { style: "unit", unit: "minute", unitDisplay: "short" }) : null
+      });
+      return arr;
+    }, []);
+    context.canDismissSummons = this.actor.isOwner && game.user.can("TOKEN_DELETE");
+
+    // Crafting
+    context.crafting = Object.values(this.actor.craftingProjects).map(project => ({
+      ...project,
+      pct: Math.clamp(Math.round((project.progress / project.days) * 100), 0, 100),
+      label: game.i18n.format("DND5E.Crafting.Progress", {
+        progress: formatNumber(project.progress), days: formatNumber(project.days)
+      })
+    }));
+
     return context;
   }
 
@@ -386,7 +414,11 @@ export default class ActorSheet5eCharacter2 extends ActorSheetV2Mixin(ActorSheet
   _onAction(event) {
     const target = event.currentTarget;
     switch ( target.dataset.action ) {
+      case "abortCrafting":
+      case "progressCrafting": this._onCraftingAction(event); break;
+      case "dismissSummons": this.actor.dismissSummons(); break;
       case "findItem": this._onFindItem(target.dataset.itemType); break;
+      case "prepareSpells": this._onPrepareSpells(event); break;
       case "removeFavorite": this._onRemoveFavorite(event); break;
       case "spellcasting": this._onToggleSpellcasting(event); break;
       case "toggleInspiration": this._onToggleInspiration(); break;
@@ -443,6 +475,39 @@ export default class ActorSheet5eCharacter2 extends ActorSheetV2Mixin(ActorSheet
 
   /* -------------------------------------------- */
 
+  /**
+   * Handle spending downtime on or abandoning a crafting project.
+   * @param {PointerEvent} event  The triggering event.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onCraftingAction(event) {
+    const { action } = event.currentTarget.dataset;
+    const id = event.currentTarget.closest("[data-project-id]")?.dataset.projectId;
+    const project = this.actor.craftingProjects[id];
+    if ( !project ) return;
+    if ( action === "progressCrafting" ) return this.actor.progressCrafting(id);
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.format("DND5E.Crafting.Abort.Title", { item: project.name }),
+      content: `<p>${game.i18n.format("DND5E.Crafting.Abort.Content", { item: project.name })}</p>`
+    });
+    if ( confirmed ) return this.actor.abortCrafting(id);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Open the spell preparation manager for a spellcasting class.
+   * @param {PointerEvent} event  The triggering event.
+   * @protected
+   */
+  _onPrepareSpells(event) {
+    const cls = this.actor.items.get(event.currentTarget.closest("[data-class-id]")?.dataset.classId);
+    if ( cls ) new SpellPreparationManager(cls).render(true);
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Handle toggling the character's primary spellcasting ability.
    * @param {PointerEvent} event  The triggering event.
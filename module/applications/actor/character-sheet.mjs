@@ -1,6 +1,7 @@
 import ActorSheet5e from "./base-sheet.mjs";
 import ActorTypeConfig from "./type-config.mjs";
 import AdvancementManager from "../advancement/advancement-manager.mjs";
+import BuildHistory from "../advancement/build-history.mjs";
 
 /**
  * An Actor sheet for player character type actors.
@@ -223,11 +224,26 @@ export default class ActorSheet5eCharacter extends ActorSheet5e {
     if ( !this.isEditable ) return;
     html.find(".short-rest").click(this._onShortRest.bind(this));
     html.find(".long-rest").click(this._onLongRest.bind(this));
+    html.find(".custom-rest").click(this._onCustomRest.bind(this));
     html.find(".rollable[data-action]").click(this._onSheetAction.bind(this));
   }
 
   /* -------------------------------------------- */
 
+  /** @inheritdoc */
+  _getHeaderButtons() {
+    const buttons = super._getHeaderButtons();
+    if ( this.actor.itemTypes.class.length ) buttons.unshift({
+      label: "DND5E.BuildHistory.Title",
+      class: "build-history",
+      icon: "fas fa-timeline",
+      onclick: () => new BuildHistory(this.actor).render(true)
+    });
+    return buttons;
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritdoc */
   _onConfigMenu(event) {
     event.preventDefault();
@@ -294,6 +310,20 @@ export default class ActorSheet5eCharacter extends ActorSheet5e {
 
   /* -------------------------------------------- */
 
+  /**
+   * Take a rest of a type defined in `CONFIG.DND5E.restTypes`, calling the relevant function on the Actor instance.
+   * @param {Event} event             The triggering click event.
+   * @returns {Promise<RestResult>}  Result of the rest action.
+   * @private
+   */
+  async _onCustomRest(event) {
+    event.preventDefault();
+    await this._onSubmit(event);
+    return this.actor.rest({ type: event.currentTarget.dataset.restType });
+  }
+
+  /* -------------------------------------------- */
+
   /** @override */
   async _onDropSingleItem(itemData) {
 
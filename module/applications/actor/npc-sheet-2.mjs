@@ -260,6 +260,7 @@ export default class ActorSheet5eNPC2 extends ActorSheetV2Mixin(ActorSheet5eNPC)
     super.activateListeners(html);
     html.find(".short-rest").on("click", this._onShortRest.bind(this));
     html.find(".long-rest").on("click", this._onLongRest.bind(this));
+    html.find(".custom-rest").on("click", this._onCustomRest.bind(this));
 
     if ( this.isEditable ) {
       html.find(".editor-edit").on("click", this._onEditBiography.bind(this));
@@ -296,6 +297,20 @@ export default class ActorSheet5eNPC2 extends ActorSheetV2Mixin(ActorSheet5eNPC)
 
   /* -------------------------------------------- */
 
+  /**
+   * Take a rest of a type defined in `CONFIG.DND5E.restTypes`, calling the relevant function on the Actor instance.
+   * @param {Event} event             The triggering click event.
+   * @returns {Promise<RestResult>}  Result of the rest action.
+   * @protected
+   */
+  async _onCustomRest(event) {
+    event.preventDefault();
+    await this._onSubmit(event);
+    return this.actor.rest({ type: event.currentTarget.dataset.restType });
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritDoc */
   async activateEditor(name, options={}, initialContent="") {
     options.relativeLinks = true;
@@ -0,0 +1,79 @@
+import ShortRestDialog from "./short-rest.mjs";
+
+/**
+ * A helper Dialog subclass for completing a rest of a type defined in `CONFIG.DND5E.restTypes`.
+ *
+ * @param {Actor5e} actor           Actor that is taking the rest.
+ * @param {string} type             Type of rest being taken.
+ * @param {object} [dialogData={}]  An object of dialog data which configures how the modal window is rendered.
+ * @param {object} [options={}]     Dialog rendering options.
+ */
+export default class RestDialog extends ShortRestDialog {
+  constructor(actor, type, dialogData={}, options={}) {
+    super(actor, dialogData, options);
+
+    /**
+     * Type of rest being taken.
+     * @type {string}
+     */
+    this.type = type;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      template: "systems/dnd5e/templates/apps/rest.hbs"
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  getData() {
+    const context = super.getData();
+    const config = CONFIG.DND5E.restTypes[this.type] ?? {};
+    context.hint = config.hint;
+    context.spendHitDice = !!config.spendHitDice;
+    context.promptNewDay = true;
+    context.newDay = !!config.newDay;
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * A helper constructor function which displays the rest dialog and returns a Promise once its workflow has
+   * been resolved.
+   * @param {object} [options={}]
+   * @param {Actor5e} [options.actor]  Actor that is taking the rest.
+   * @param {string} [options.type]    Type of rest being taken.
+   * @returns {Promise}                Promise that resolves when the rest is completed or rejects when canceled.
+   */
+  static async restDialog({ actor, type }={}) {
+    return new Promise((resolve, reject) => {
+      const dlg = new this(actor, type, {
+        title: `${CONFIG.DND5E.restTypes[type]?.label ?? game.i18n.localize("DND5E.Rest")}: ${actor.name}`,
+        buttons: {
+          rest: {
+            icon: '<i class="fas fa-bed"></i>',
+            label: game.i18n.localize("DND5E.Rest"),
+            callback: html => {
+              const formData = new FormDataExtended(html.find("form")[0]);
+              resolve(formData.object);
+            }
+          },
+          cancel: {
+            icon: '<i class="fas fa-times"></i>',
+            label: game.i18n.localize("Cancel"),
+            callback: reject
+          }
+        },
+        default: "rest",
+        close: reject
+      });
+      dlg.render(true);
+    });
+  }
+}
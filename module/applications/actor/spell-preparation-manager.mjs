@@ -0,0 +1,269 @@
+import DialogMixin from "../dialog-mixin.mjs";
+
+/**
+ * Application for choosing the spells prepared or known by a spellcasting class from its spell lists.
+ */
+export default class SpellPreparationManager extends DialogMixin(FormApplication) {
+
+  /** @inheritDoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dnd5e2", "spell-preparation-manager", "dialog"],
+      template: "systems/dnd5e/templates/apps/spell-preparation-manager.hbs",
+      width: 420,
+      height: "auto",
+      scrollY: [".spell-lists"]
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Properties                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * The actor whose spells are being prepared.
+   * @type {Actor5e}
+   */
+  get actor() {
+    return this.object.actor;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Spells available from the class's spell lists, cached once loaded.
+   * @type {object[]|null}
+   */
+  #available = null;
+
+  /* -------------------------------------------- */
+
+  /**
+   * Highest level of spell this class is able to cast on its own.
+   * @type {number}
+   */
+  get maxSpellLevel() {
+    const Actor5e = this.actor.constructor;
+    const type = this.object.spellcasting?.type;
+    if ( !type ) return 0;
+    const progression = { slot: 0, pact: 0 };
+    const spells = {};
+    Actor5e.computeClassProgression(progression, this.object, { actor: this.actor });
+    Actor5e.prepareSpellcastingSlots(spells, type, progression, { actor: this.actor });
+    return Object.values(spells).reduce((max, slot) => slot.max ? Math.max(max, slot.level) : max, 0);
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  get title() {
+    return game.i18n.format("DND5E.SpellPreparationManager.Title", { class: this.object.name });
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async getData(options={}) {
+    const context = super.getData(options);
+    const preparation = this.object.system.spellPreparation;
+    const maxLevel = this.maxSpellLevel;
+    this.#available ??= await this.constructor.getAvailableSpells(this.object);
+
+    context.title = this.title;
+    context.cantrips = { ...preparation.cantrips, offset: preparation.cantrips.value };
+    context.spells = { ...preparation.spells, offset: preparation.spells.value };
+    context.sections = {};
+    for ( const spell of this.#available ) {
+      const level = spell.system?.level ?? 0;
+      if ( level > maxLevel ) continue;
+      const owned = this._getOwnedSpell(spell);
+      const always = owned?.system.preparation.mode === "always";
+      const checked = !!owned && (always || (level === 0) || context.spells.known || owned.system.preparation.prepared);
+      const section = context.sections[level] ??= { label: CONFIG.DND5E.spellLevels[level], spells: [] };
+      section.spells.push({
+        level, checked,
+        uuid: spell.uuid,
+        name: spell.name,
+        img: spell.img,
+        school: CONFIG.DND5E.spellSchools[spell.system?.school]?.label ?? "",
+        disabled: always
+      });
+
+      // Spells selected in this list are counted separately from any prepared from elsewhere
+      if ( checked && !always ) context[level === 0 ? "cantrips" : "spells"].offset -= 1;
+    }
+    for ( const section of Object.values(context.sections) ) {
+      section.spells.sort((a, b) => a.name.localeCompare(b.name, game.i18n.lang));
+    }
+
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find the spell on the actor that was created from the provided spell and is cast through this class.
+   * @param {object} spell       Spell or index entry from a spell list.
+   * @returns {Item5e|undefined}
+   * @protected
+   */
+  _getOwnedSpell(spell) {
+    return this.actor.itemTypes.spell.find(s => {
+      if ( s.system.spellcastingClass !== this.object ) return false;
+      const sourceId = s.flags.dnd5e?.sourceId ?? s._stats?.compendiumSource ?? s.flags.core?.sourceId;
+      return sourceId === spell.uuid;
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Find all of the spell list pages that apply to a class or its subclass.
+   * @param {Item5e} cls                       The class item.
+   * @returns {Promise<JournalEntryPage[]>}
+   */
+  static async getSpellLists(cls) {
+    const identifiers = { class: cls.identifier, subclass: cls.subclass?.identifier };
+    const matches = page => (page?.type === "spells") && page.system.identifier
+      && (identifiers[page.system.type] === page.system.identifier);
+
+    const pages = new Set();
+    for ( const entry of game.journal ) {
+      for ( const page of entry.pages ) if ( matches(page) ) pages.add(page);
+    }
+    for ( const uuid of CONFIG.DND5E.spellListSources ) {
+      const doc = await fromUuid(uuid);
+      for ( const page of doc instanceof JournalEntry ? doc.pages : [doc] ) if ( matches(page) ) pages.add(page);
+    }
+    return Array.from(pages);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Load indices for all of the spells available to a class from its spell lists.
+   * @param {Item5e} cls             The class item.
+   * @returns {Promise<object[]>}
+   */
+  static async getAvailableSpells(cls) {
+    const uuids = new Set((await this.getSpellLists(cls)).flatMap(page => Array.from(page.system.spells)));
+    const collections = new Collection();
+    for ( const uuid of uuids ) {
+      const { collection } = foundry.utils.parseUuid(uuid);
+      if ( !collection || collections.has(collection) ) continue;
+      if ( collection instanceof CompendiumCollection ) {
+        collections.set(collection, collection.getIndex({ fields: ["system.level", "system.school"] }));
+      } else collections.set(collection, collection);
+    }
+    const indices = await Promise.all(collections.values());
+    return indices.flatMap(c => c.filter(s => uuids.has(s.uuid)));
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Handling                              */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  activateListeners(jQuery) {
+    super.activateListeners(jQuery);
+    this._updateCounts();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onChangeInput(event) {
+    super._onChangeInput(event);
+    this._updateCounts();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Update the displayed number of selected spells and prevent submission if any limits are exceeded.
+   * @protected
+   */
+  _updateCounts() {
+    let valid = true;
+    for ( const counter of this.form.querySelectorAll("[data-counter]") ) {
+      const cantrips = counter.dataset.counter === "cantrips";
+      const selected = Number(counter.dataset.offset) + Array.from(
+        this.form.querySelectorAll("input[data-uuid]:checked:not(:disabled)")
+      ).filter(i => (i.dataset.level === "0") === cantrips).length;
+      const max = Number(counter.dataset.max);
+      counter.querySelector(".value").innerText = selected;
+      counter.querySelector(".remaining").innerText = game.i18n.format("DND5E.SpellPreparationManager.Remaining", {
+        number: Math.max(max - selected, 0)
+      });
+      counter.classList.toggle("exceeded", selected > max);
+      if ( selected > max ) valid = false;
+    }
+    this.form.querySelector('button[type="submit"]').disabled = !valid;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async _updateObject(event, formData) {
+    const cls = this.object;
+    const { known } = cls.system.spellPreparation.spells;
+    const mode = cls.spellcasting.type === "pact" ? "pact" : "prepared";
+    const changes = { create: [], update: [], delete: [] };
+
+    for ( const input of this.form.querySelectorAll("input[data-uuid]:not(:disabled)") ) {
+      const spell = this.#available.find(s => s.uuid === input.dataset.uuid);
+      if ( !spell ) continue;
+      const owned = this._getOwnedSpell(spell);
+      const cantrip = input.dataset.level === "0";
+      if ( input.checked && !owned ) changes.create.push(spell.uuid);
+      else if ( input.checked && !owned.system.preparation.prepared && !cantrip && !known ) {
+        changes.update.push({ _id: owned.id, "system.preparation.prepared": true });
+      }
+      else if ( !input.checked && owned ) {
+        if ( formData.removeUnprepared || cantrip || known ) changes.delete.push(owned.id);
+        else if ( owned.system.preparation.prepared ) {
+          changes.update.push({ _id: owned.id, "system.preparation.prepared": false });
+        }
+      }
+    }
+
+    /**
+     * A hook event that fires before the spells prepared by a class are changed.
+     * @function dnd5e.preUpdateSpellPreparation
+     * @memberof hookEvents
+     * @param {Item5e} cls   Class whose spells are being prepared.
+     * @param {{create: string[], update: object[], delete: string[]}} changes  UUIDs of spells to add to the actor,
+     *                       updates to spells on the actor, and IDs of spells to remove from the actor.
+     * @returns {boolean}    Explicitly return `false` to prevent the changes from being made.
+     */
+    if ( Hooks.call("dnd5e.preUpdateSpellPreparation", cls, changes) === false ) return;
+
+    const toCreate = [];
+    for ( const uuid of changes.create ) {
+      const spell = await fromUuid(uuid);
+      if ( !spell ) continue;
+      const itemData = game.items.fromCompendium(spell);
+      foundry.utils.mergeObject(itemData, {
+        "flags.dnd5e.sourceId": uuid,
+        "system.sourceClass": cls.identifier,
+        "system.preparation": { mode, prepared: true }
+      });
+      toCreate.push(itemData);
+    }
+
+    if ( toCreate.length ) await this.actor.createEmbeddedDocuments("Item", toCreate);
+    if ( changes.update.length ) await this.actor.updateEmbeddedDocuments("Item", changes.update);
+    if ( changes.delete.length ) await this.actor.deleteEmbeddedDocuments("Item", changes.delete);
+
+    /**
+     * A hook event that fires after the spells prepared by a class have been changed.
+     * @function dnd5e.updateSpellPreparation
+     * @memberof hookEvents
+     * @param {Item5e} cls   Class whose spells were prepared.
+     * @param {{create: string[], update: object[], delete: string[]}} changes  Changes that were made.
+     */
+    Hooks.callAll("dnd5e.updateSpellPreparation", cls, changes);
+  }
+}
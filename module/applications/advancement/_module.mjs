@@ -5,17 +5,22 @@ export {default as AdvancementManager} from "./advancement-manager.mjs";
 export {default as AdvancementMigrationDialog} from "./advancement-migration-dialog.mjs";
 export {default as AdvancementSelection} from "./advancement-selection.mjs";
 
+export {default as AbilityScoreGenerationConfig} from "./ability-score-generation-config.mjs";
+export {default as AbilityScoreGenerationFlow} from "./ability-score-generation-flow.mjs";
 export {default as AbilityScoreImprovementConfig} from "./ability-score-improvement-config.mjs";
 export {default as AbilityScoreImprovementFlow} from "./ability-score-improvement-flow.mjs";
+export {default as BuildHistory} from "./build-history.mjs";
 export {default as HitPointsConfig} from "./hit-points-config.mjs";
 export {default as HitPointsFlow} from "./hit-points-flow.mjs";
 export {default as ItemChoiceConfig} from "./item-choice-config.mjs";
 export {default as ItemChoiceFlow} from "./item-choice-flow.mjs";
 export {default as ItemGrantConfig} from "./item-grant-config.mjs";
 export {default as ItemGrantFlow} from "./item-grant-flow.mjs";
+export {default as LevelUpPreview} from "./level-up-preview.mjs";
 export {default as ScaleValueConfig} from "./scale-value-config.mjs";
 export {default as ScaleValueFlow} from "./scale-value-flow.mjs";
 export {default as SizeConfig} from "./size-config.mjs";
 export {default as SizeFlow} from "./size-flow.mjs";
+export {default as StartingEquipmentDialog} from "./starting-equipment-dialog.mjs";
 export {default as TraitConfig} from "./trait-config.mjs";
 export {default as TraitFlow} from "./trait-flow.mjs";
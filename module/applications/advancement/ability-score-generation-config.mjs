@@ -0,0 +1,60 @@
+import { filteredKeys } from "../../utils.mjs";
+import AdvancementConfig from "./advancement-config.mjs";
+
+/**
+ * Configuration application for ability score generation.
+ */
+export default class AbilityScoreGenerationConfig extends AdvancementConfig {
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dnd5e", "advancement", "ability-score-generation"],
+      template: "systems/dnd5e/templates/advancement/ability-score-generation-config.hbs"
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Range of scores that can be given a point buy cost.
+   * @type {number[]}
+   */
+  static POINT_BUY_SCORES = Array.fromRange(16, 3);
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  getData() {
+    const { configuration } = this.advancement;
+    return foundry.utils.mergeObject(super.getData(), {
+      methods: Object.entries(CONFIG.DND5E.abilityScoreGenerationMethods).reduce((obj, [key, { label }]) => {
+        obj[key] = { label, chosen: configuration.methods.has(key) };
+        return obj;
+      }, {}),
+      costs: this.constructor.POINT_BUY_SCORES.map(score => ({
+        score, name: `configuration.pointBuy.costs.${score}`, value: configuration.pointBuy.costs[score]
+      })),
+      standardArray: configuration.standardArray.join(", ")
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async prepareConfigurationUpdate(configuration) {
+    if ( configuration.methods ) configuration.methods = filteredKeys(configuration.methods);
+    if ( configuration.pointBuy?.costs ) {
+      configuration.pointBuy.costs = Object.entries(configuration.pointBuy.costs).reduce((obj, [score, cost]) => {
+        if ( Number.isInteger(cost) ) obj[score] = cost;
+        else obj[`-=${score}`] = null;
+        return obj;
+      }, {});
+    }
+    if ( typeof configuration.standardArray === "string" ) {
+      configuration.standardArray = configuration.standardArray.split(/[\s,]+/).map(Number)
+        .filter(v => Number.isInteger(v) && (v > 0));
+    }
+    return configuration;
+  }
+}
@@ -0,0 +1,251 @@
+import Advancement from "../../documents/advancement/advancement.mjs";
+import AdvancementFlow from "./advancement-flow.mjs";
+
+/**
+ * Inline application that presents the player with methods for generating their starting ability scores.
+ */
+export default class AbilityScoreGenerationFlow extends AdvancementFlow {
+
+  /**
+   * Currently selected generation method.
+   * @type {string}
+   */
+  method;
+
+  /* -------------------------------------------- */
+
+  /**
+   * Scores bought with point buy.
+   * @type {Object<string, number>}
+   */
+  pointBuy = {};
+
+  /* -------------------------------------------- */
+
+  /**
+   * Index within the standard array or rolls assigned to each ability.
+   * @type {Object<string, number>}
+   */
+  assignments = {};
+
+  /* -------------------------------------------- */
+
+  /**
+   * Results of the rolled scores, if they have been rolled.
+   * @type {number[]|null}
+   */
+  rolls = null;
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      template: "systems/dnd5e/templates/advancement/ability-score-generation-flow.hbs"
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Abilities whose scores are generated.
+   * @type {string[]}
+   */
+  get abilities() {
+    return Object.keys(CONFIG.DND5E.abilities).filter(k => this.advancement.canGenerate(k));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async retainData(data) {
+    await super.retainData(data);
+    this.method = data.method;
+    this.rolls = data.rolls ?? null;
+    if ( this.method === "pointBuy" ) this.pointBuy = { ...data.scores };
+    else {
+      const pool = Array.from(this.advancement.poolForMethod(this.method, this.rolls) ?? []);
+      const used = new Set();
+      for ( const [key, score] of Object.entries(data.scores ?? {}) ) {
+        const index = pool.findIndex((v, i) => (v === score) && !used.has(i));
+        if ( index === -1 ) continue;
+        used.add(index);
+        this.assignments[key] = index;
+      }
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  getData() {
+    if ( this.advancement.generatedElsewhere ) return foundry.utils.mergeObject(super.getData(), { generated: true });
+    const methods = this.advancement.methods;
+    if ( !(this.method in methods) ) this.method = Object.keys(methods)[0];
+    const context = { methods, method: this.method, isPointBuy: this.method === "pointBuy" };
+
+    if ( context.isPointBuy ) {
+      const { min, max } = this.advancement.pointBuyRange;
+      const { budget, costs } = this.advancement.configuration.pointBuy;
+      for ( const key of this.abilities ) this.pointBuy[key] ??= min;
+      const remaining = budget - this.advancement.pointBuyCost(this.pointBuy);
+      context.abilities = this.abilities.reduce((obj, key) => {
+        const value = this.pointBuy[key];
+        const nextCost = (costs[value + 1] ?? Infinity) - (costs[value] ?? 0);
+        obj[key] = {
+          key, min, max, value,
+          name: `abilities.${key}`,
+          label: CONFIG.DND5E.abilities[key].label,
+          initial: min,
+          canIncrease: (value < max) && (nextCost <= remaining),
+          canDecrease: value > min
+        };
+        return obj;
+      }, {});
+      const pluralRules = new Intl.PluralRules(game.i18n.lang);
+      context.pointsRemaining = game.i18n.format(
+        `DND5E.AdvancementAbilityScoreImprovementPointsRemaining.${pluralRules.select(remaining)}`,
+        { points: remaining }
+      );
+    }
+
+    else {
+      const pool = this.advancement.poolForMethod(this.method, this.rolls);
+      context.needsRoll = (this.method === "roll") && !pool;
+      context.formula = this.advancement.configuration.formula;
+      context.pool = pool?.join(", ");
+      context.abilities = this.abilities.reduce((obj, key) => {
+        const used = new Set(Object.entries(this.assignments).filter(([k, v]) => (k !== key) && (v !== null))
+          .map(([, v]) => v));
+        obj[key] = {
+          key,
+          name: `abilities.${key}`,
+          label: CONFIG.DND5E.abilities[key].label,
+          selected: this.assignments[key],
+          options: (pool ?? []).reduce((options, score, index) => {
+            if ( !used.has(index) ) options[index] = score;
+            return options;
+          }, {})
+        };
+        return obj;
+      }, {});
+    }
+
+    return foundry.utils.mergeObject(super.getData(), context);
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find(".adjustment-button").click(this._onClickButton.bind(this));
+    html.find("[data-action='roll']").click(this._onRollScores.bind(this));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  _onChangeInput(event) {
+    super._onChangeInput(event);
+    const input = event.currentTarget;
+    if ( input.name === "method" ) {
+      this.method = input.value;
+      this.assignments = {};
+    } else {
+      const key = input.closest("[data-score]")?.dataset.score;
+      if ( !key ) return;
+      if ( this.method === "pointBuy" ) {
+        const { min, max } = this.advancement.pointBuyRange;
+        this.pointBuy[key] = isNaN(input.valueAsNumber) ? min : Math.clamp(input.valueAsNumber, min, max);
+      }
+      else this.assignments[key] = input.value === "" ? null : Number(input.value);
+    }
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle clicking the plus and minus buttons.
+   * @param {Event} event  Triggering click event.
+   */
+  _onClickButton(event) {
+    event.preventDefault();
+    const action = event.currentTarget.dataset.action;
+    const key = event.currentTarget.closest("li").dataset.score;
+
+    if ( action === "decrease" ) this.pointBuy[key] -= 1;
+    else if ( action === "increase" ) this.pointBuy[key] += 1;
+    else return;
+
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Roll a score for each ability and record the results to chat.
+   * @param {Event} event  Triggering click event.
+   * @returns {Promise}
+   */
+  async _onRollScores(event) {
+    event.preventDefault();
+    if ( this.rolls ) return;
+    const actor = this.advancement.actor;
+    const rolls = [];
+    for ( let i = 0; i < this.abilities.length; i++ ) {
+      const roll = new Roll(this.advancement.configuration.formula, actor.getRollData());
+      await roll.evaluate();
+      rolls.push(roll);
+    }
+
+    const messageData = {
+      flavor: game.i18n.format("DND5E.AdvancementAbilityScoreGenerationRollFlavor", { name: actor.name }),
+      speaker: ChatMessage.getSpeaker({ actor }),
+      rolls,
+      "flags.dnd5e.abilityScoreGeneration": { rolls: rolls.map(r => r.total) }
+    };
+    // TODO: Remove when v11 support is dropped.
+    if ( game.release.generation < 12 ) messageData.type = CONST.CHAT_MESSAGE_TYPES.ROLL;
+    await ChatMessage.implementation.create(messageData);
+
+    this.rolls = rolls.map(r => r.total);
+    this.assignments = {};
+    this.render();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async _updateObject(event, formData) {
+    if ( this.advancement.generatedElsewhere ) return;
+    let scores = {};
+    if ( this.method === "pointBuy" ) {
+      scores = Object.fromEntries(this.abilities.map(k => [k, this.pointBuy[k]]));
+      const cost = this.advancement.pointBuyCost(scores);
+      if ( cost > this.advancement.configuration.pointBuy.budget ) throw new Advancement.ERROR(
+        game.i18n.localize("DND5E.AdvancementAbilityScoreGenerationWarning.Budget")
+      );
+    }
+
+    else {
+      const pool = this.advancement.poolForMethod(this.method, this.rolls);
+      if ( !pool ) throw new Advancement.ERROR(
+        game.i18n.localize("DND5E.AdvancementAbilityScoreGenerationWarning.Roll")
+      );
+      const used = new Set();
+      for ( const key of this.abilities ) {
+        const index = this.assignments[key];
+        if ( !Number.isInteger(index) || (pool[index] === undefined) || used.has(index) ) continue;
+        used.add(index);
+        scores[key] = pool[index];
+      }
+      if ( used.size < Math.min(pool.length, this.abilities.length) ) throw new Advancement.ERROR(
+        game.i18n.localize("DND5E.AdvancementAbilityScoreGenerationWarning.Unassigned")
+      );
+    }
+
+    await this.advancement.apply(this.level, { method: this.method, scores, rolls: this.rolls ?? undefined });
+  }
+}
@@ -203,13 +203,8 @@ export default class AbilityScoreImprovementFlow extends AdvancementFlow {
       return null;
     }
 
-    // If a feat has a level pre-requisite, make sure it is less than or equal to current character level
-    if ( (item.system.prerequisites?.level ?? -Infinity) > this.advancement.actor.system.details.level ) {
-      ui.notifications.error(game.i18n.format("DND5E.AdvancementAbilityScoreImprovementFeatLevelWarning", {
-        level: item.system.prerequisites.level
-      }));
-      return null;
-    }
+    // If a feat has prerequisites, make sure they are met by the actor or overridden by the GM
+    if ( !(await this._validatePrerequisites(item)) ) return null;
 
     this.feat = item;
     this.render();
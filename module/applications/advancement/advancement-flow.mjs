@@ -116,6 +116,31 @@ export default class AdvancementFlow extends FormApplication {
 
   /* -------------------------------------------- */
 
+  /**
+   * Ensure the advancing actor meets an item's prerequisites before it can be chosen. Players are prevented from
+   * choosing the item, while the GM is given the option to override the prerequisites.
+   * @param {Item5e} item             Item being chosen.
+   * @param {object} [options={}]
+   * @param {number} [options.level]  Level to compare against the level requirement. Defaults to character level.
+   * @returns {Promise<boolean>}      Can the item be chosen?
+   * @protected
+   */
+  async _validatePrerequisites(item, options={}) {
+    const failures = item.system.prerequisites?.evaluate?.(this.advancement.actor, options) ?? [];
+    if ( !failures.length ) return true;
+    const reasons = game.i18n.getListFormatter().format(failures);
+    if ( !game.user.isGM ) {
+      ui.notifications.error(game.i18n.format("DND5E.Prerequisites.Warning.Unmet", { name: item.name, reasons }));
+      return false;
+    }
+    return Dialog.confirm({
+      title: game.i18n.localize("DND5E.Prerequisites.Override.Title"),
+      content: `<p>${game.i18n.format("DND5E.Prerequisites.Override.Content", { name: item.name, reasons })}</p>`
+    });
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritdoc */
   _canDragDrop(selector) {
     return true;
@@ -1,4 +1,5 @@
 import Advancement from "../../documents/advancement/advancement.mjs";
+import StartingEquipmentDialog from "./starting-equipment-dialog.mjs";
 
 /**
  * Internal type used to manage each step within the advancement process.
@@ -13,6 +14,29 @@ import Advancement from "../../documents/advancement/advancement.mjs";
  * @property {boolean} [automatic=false]  Should the manager attempt to apply this step without user interaction?
  */
 
+/**
+ * Description of an advancement that will be applied by the manager, used when previewing changes.
+ *
+ * @typedef {object} AdvancementPreviewEntry
+ * @property {Advancement} advancement  Advancement that will be applied.
+ * @property {Item5e} item              Item to which the advancement belongs.
+ * @property {number} level             Level at which the advancement will be applied.
+ * @property {string} title             HTML title of the advancement at that level.
+ * @property {string} summary           HTML summary of what the advancement grants at that level.
+ * @property {boolean} choice           Must the player make a choice when applying this advancement?
+ */
+
+/**
+ * Changes that would be made to the actor by the manager, as determined by a dry run.
+ *
+ * @typedef {object} AdvancementDryRunResult
+ * @property {object} actor                       Differences between the actor's current and resulting data.
+ * @property {object[]} toCreate                  Data for items that would be created on the actor.
+ * @property {object[]} toUpdate                  Differences for items that would be updated on the actor.
+ * @property {string[]} toDelete                  IDs of items that would be deleted from the actor.
+ * @property {AdvancementPreviewEntry[]} pending  Advancements skipped because they require a choice from the player.
+ */
+
 /**
  * Application for controlling the advancement workflow and displaying the interface.
  *
@@ -54,6 +78,19 @@ export default class AdvancementManager extends Application {
      * @private
      */
     this._advancing = false;
+
+    /**
+     * Descriptions of the multiclassing prerequisites not met by the actor when adding a new class.
+     * @type {string[]}
+     */
+    this.prerequisiteFailures = [];
+
+    /**
+     * Has the GM chosen to override any unmet prerequisites?
+     * @type {boolean}
+     * @private
+     */
+    this._prerequisitesOverridden = false;
   }
 
   /* -------------------------------------------- */
@@ -322,14 +359,43 @@ export default class AdvancementManager extends Application {
 
   /* -------------------------------------------- */
 
+  /**
+   * Construct a manager that rolls a character back to an earlier level, removing class levels in the reverse of
+   * the order they were taken.
+   * @param {Actor5e} actor         Character being rolled back.
+   * @param {number} level          Character level to which the character should be returned.
+   * @param {object} options        Rendering options passed to the application.
+   * @returns {AdvancementManager}  Prepared manager. Steps count can be used to determine if advancements are needed.
+   */
+  static forRollback(actor, level, options={}) {
+    const manager = new this(actor, options);
+    const history = actor.system.classHistory ?? [];
+    let characterLevel = history.length;
+    while ( characterLevel > Math.max(level, 0) ) {
+      const cls = history[characterLevel - 1];
+      let delta = 0;
+      while ( (characterLevel + delta > level) && (history[characterLevel + delta - 1] === cls) ) delta--;
+      const clonedItem = manager.clone.items.get(cls.id);
+      if ( clonedItem ) manager.createLevelChangeSteps(clonedItem, delta, { characterLevel });
+      characterLevel += delta;
+    }
+    return manager;
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Create steps based on the provided level change data.
-   * @param {string} classItem      Class being changed.
-   * @param {number} levelDelta     Levels by which to increase or decrease the class.
-   * @returns {AdvancementManager}  Manager with new steps.
+   * @param {string} classItem                 Class being changed.
+   * @param {number} levelDelta                Levels by which to increase or decrease the class.
+   * @param {object} [options={}]
+   * @param {number} [options.characterLevel]  Character level before the change, if different from the actor's
+   *                                           current level (e.g. when combining several changes in one manager).
+   * @returns {AdvancementManager}             Manager with new steps.
    * @private
    */
-  createLevelChangeSteps(classItem, levelDelta) {
+  createLevelChangeSteps(classItem, levelDelta, { characterLevel: startingLevel }={}) {
+    startingLevel ??= this.actor.system.details.level ?? 0;
     const raceItem = this.clone.system?.details?.race instanceof Item ? this.clone.system.details.race : null;
     const pushSteps = (flows, data) => this.steps.push(...flows.map(flow => ({ flow, ...data })));
     const getItemFlows = characterLevel => this.clone.items.contents.flatMap(i => {
@@ -337,10 +403,21 @@ export default class AdvancementManager extends Application {
       return this.constructor.flowsForLevel(i, characterLevel);
     });
 
+    // Check multiclassing prerequisites when adding a new class to an actor that already has classes
+    if ( !classItem.system.levels && (levelDelta > 0) && this.actor.itemTypes.class.length ) {
+      this.prerequisiteFailures = [classItem, ...this.actor.itemTypes.class].flatMap(cls => {
+        const failures = cls.system.prerequisites?.evaluate(this.actor) ?? [];
+        if ( !failures.length ) return [];
+        return game.i18n.format("DND5E.Prerequisites.Warning.Multiclass", {
+          name: cls.name, reasons: game.i18n.getListFormatter().format(failures)
+        });
+      });
+    }
+
     // Level increased
     for ( let offset = 1; offset <= levelDelta; offset++ ) {
       const classLevel = classItem.system.levels + offset;
-      const characterLevel = (this.actor.system.details.level ?? 0) + offset;
+      const characterLevel = startingLevel + offset;
       const stepData = { type: "forward", class: {item: classItem, level: classLevel} };
       pushSteps(this.constructor.flowsForLevel(raceItem, characterLevel), stepData);
       pushSteps(this.constructor.flowsForLevel(classItem, classLevel), stepData);
@@ -351,7 +428,7 @@ export default class AdvancementManager extends Application {
     // Level decreased
     for ( let offset = 0; offset > levelDelta; offset-- ) {
       const classLevel = classItem.system.levels + offset;
-      const characterLevel = (this.actor.system.details.level ?? 0) + offset;
+      const characterLevel = startingLevel + offset;
       const stepData = { type: "reverse", class: {item: classItem, level: classLevel}, automatic: true };
       pushSteps(getItemFlows(characterLevel).reverse(), stepData);
       pushSteps(this.constructor.flowsForLevel(classItem.subclass, classLevel).reverse(), stepData);
@@ -430,6 +507,10 @@ export default class AdvancementManager extends Application {
 
   /** @inheritdoc */
   render(...args) {
+    if ( (this._stepIndex === null) && this.prerequisiteFailures.length && !this._prerequisitesOverridden ) {
+      this._confirmPrerequisites(...args);
+      return this;
+    }
     if ( this.steps.length && (this._stepIndex === null) ) this._stepIndex = 0;
 
     // Ensure the level on the class item matches the specified level
@@ -462,6 +543,32 @@ export default class AdvancementManager extends Application {
 
   /* -------------------------------------------- */
 
+  /**
+   * Prevent players from adding a class whose multiclassing prerequisites aren't met, and give the GM the option
+   * to override them.
+   * @param {...*} args  Arguments passed to render once the prerequisites have been overridden.
+   * @returns {Promise}
+   * @protected
+   */
+  async _confirmPrerequisites(...args) {
+    const reasons = this.prerequisiteFailures.map(f => `<li>${f}</li>`).join("");
+    if ( !game.user.isGM ) {
+      ui.notifications.error(game.i18n.format("DND5E.Prerequisites.Warning.MulticlassBlocked", {
+        reasons: this.prerequisiteFailures.join(" ")
+      }));
+      return;
+    }
+    const override = await Dialog.confirm({
+      title: game.i18n.localize("DND5E.Prerequisites.Override.Title"),
+      content: `<p>${game.i18n.localize("DND5E.Prerequisites.Override.Multiclass")}</p><ul>${reasons}</ul>`
+    });
+    if ( !override ) return;
+    this._prerequisitesOverridden = true;
+    this.render(...args);
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritdoc */
   async _render(force, options) {
     await super._render(force, options);
@@ -526,6 +633,96 @@ export default class AdvancementManager extends Application {
     await super.close(options);
   }
 
+  /* -------------------------------------------- */
+  /*  Preview                                     */
+  /* -------------------------------------------- */
+
+  /**
+   * Describe each advancement that will be applied by this manager without making any changes.
+   * @returns {AdvancementPreviewEntry[]}
+   */
+  preview() {
+    return this.steps.filter(s => (s.type === "forward") && s.flow).map(s => this._prepareStepPreview(s));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prepare the preview of a single step.
+   * @param {AdvancementStep} step  Step to describe.
+   * @returns {AdvancementPreviewEntry}
+   * @protected
+   */
+  _prepareStepPreview(step) {
+    const { advancement, item, level } = step.flow;
+    return {
+      advancement, item, level,
+      title: advancement.titleForLevel(level, { configMode: true }),
+      summary: advancement.summaryForLevel(level, { configMode: true }),
+      choice: advancement.automaticApplicationValue(level) === false
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Apply every step to the cloned actor without rendering and determine the changes that would be made to the
+   * original actor. Advancements are applied using any data provided, falling back to their automatic application
+   * values, and those that require a choice from the player are skipped. The original actor is never modified and
+   * the manager should not be rendered afterwards.
+   * @param {Object<string, object>} [data={}]  Data to apply for specific advancements, keyed by advancement ID.
+   * @returns {Promise<AdvancementDryRunResult>}
+   */
+  async dryRun(data={}) {
+    const pending = [];
+    this._advancing = true;
+    try {
+      for ( this._stepIndex = 0; this.step; this._stepIndex++ ) {
+        const { flow, type } = this.step;
+        if ( this.step.class ) {
+          let level = this.step.class.level;
+          if ( type === "reverse" ) level -= 1;
+          this.step.class.item.updateSource({"system.levels": level});
+        }
+
+        if ( (type === "delete") && this.step.item ) this.clone.items.delete(this.step.item.id);
+        else if ( (type === "delete") && this.step.advancement ) {
+          this.step.advancement.item.deleteAdvancement(this.step.advancement.id, { source: true });
+        }
+        else if ( type === "restore" ) await flow.advancement.restore(flow.level, flow.retainedData);
+        else if ( type === "reverse" ) await flow.retainData(await flow.advancement.reverse(flow.level));
+        else if ( flow ) {
+          const value = data[flow.advancement.id] ?? flow.advancement.automaticApplicationValue(flow.level);
+          if ( value === false ) pending.push(this._prepareStepPreview(this.step));
+          else {
+            try {
+              await flow.advancement.apply(flow.level, value);
+            } catch(error) {
+              if ( !(error instanceof Advancement.ERROR) ) throw error;
+              pending.push(this._prepareStepPreview(this.step));
+            }
+          }
+        }
+        this.clone.reset();
+      }
+    } finally {
+      this._advancing = false;
+    }
+
+    const { updates, toCreate, toUpdate, toDelete } = this._prepareChanges();
+    return {
+      actor: foundry.utils.diffObject(this.actor.toObject(), updates),
+      toCreate,
+      toUpdate: toUpdate.reduce((arr, item) => {
+        const diff = foundry.utils.diffObject(this.actor.items.get(item._id).toObject(), item);
+        if ( !foundry.utils.isEmpty(diff) ) arr.push({ _id: item._id, ...diff });
+        return arr;
+      }, []),
+      toDelete,
+      pending
+    };
+  }
+
   /* -------------------------------------------- */
   /*  Process                                     */
   /* -------------------------------------------- */
@@ -641,12 +838,11 @@ export default class AdvancementManager extends Application {
   /* -------------------------------------------- */
 
   /**
-   * Apply changes to actual actor after all choices have been made.
-   * @param {Event} event  Button click that triggered the change.
-   * @returns {Promise}
-   * @private
+   * Gather the changes between the cloned actor and the original actor.
+   * @returns {{updates: object, toCreate: object[], toUpdate: object[], toDelete: string[]}}
+   * @protected
    */
-  async _complete(event) {
+  _prepareChanges() {
     const updates = this.clone.toObject();
     const items = updates.items;
     delete updates.items;
@@ -662,6 +858,24 @@ export default class AdvancementManager extends Application {
       return obj;
     }, { toCreate: [], toUpdate: [], toDelete: this.actor.items.map(i => i.id) });
 
+    return { updates, toCreate, toUpdate, toDelete };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Apply changes to actual actor after all choices have been made.
+   * @param {Event} event  Button click that triggered the change.
+   * @returns {Promise}
+   * @private
+   */
+  async _complete(event) {
+    // Record the order in which the character's class levels were taken
+    const history = this.clone.system.classHistory;
+    if ( history ) this.clone.updateSource({"flags.dnd5e.classHistory": history.map(c => c.id)});
+
+    const { updates, toCreate, toUpdate, toDelete } = this._prepareChanges();
+
     /**
      * A hook event that fires at the final stage of a character's advancement process, before actor and item updates
      * are applied.
@@ -679,6 +893,7 @@ export default class AdvancementManager extends Application {
     }
 
     // Apply changes from clone to original actor
+    const firstClass = !this.actor.itemTypes.class.length;
     await Promise.all([
       this.actor.update(updates, { isAdvancement: true }),
       this.actor.createEmbeddedDocuments("Item", toCreate, { keepId: true, isAdvancement: true }),
@@ -694,6 +909,9 @@ export default class AdvancementManager extends Application {
      */
     Hooks.callAll("dnd5e.advancementManagerComplete", this);
 
+    // Offer starting equipment for a newly added background or first class
+    StartingEquipmentDialog.promptForItems(toCreate.map(i => this.actor.items.get(i._id)), { firstClass });
+
     // Close prompt
     return this.close({ skipConfirmation: true });
   }
@@ -0,0 +1,154 @@
+import DialogMixin from "../dialog-mixin.mjs";
+import AdvancementManager from "./advancement-manager.mjs";
+
+/**
+ * Application that displays the choices made at each of a character's levels, in the order they were taken, and
+ * allows rolling the character back to an earlier level.
+ *
+ * @param {Actor5e} actor        Character whose history should be displayed.
+ * @param {object} [options={}]  Additional application options.
+ */
+export default class BuildHistory extends DialogMixin(Application) {
+  constructor(actor, options={}) {
+    super(options);
+
+    /**
+     * The character whose history is displayed.
+     * @type {Actor5e}
+     */
+    this.actor = actor;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dnd5e2", "build-history", "dialog"],
+      template: "systems/dnd5e/templates/apps/build-history.hbs",
+      width: 480,
+      height: "auto",
+      scrollY: [".levels"]
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Properties                                  */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  get id() {
+    return `build-history-${this.actor.id}`;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  get title() {
+    return `${game.i18n.localize("DND5E.BuildHistory.Title")}: ${this.actor.name}`;
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async getData(options={}) {
+    const context = await super.getData(options);
+    const history = this.actor.system.classHistory ?? [];
+    const others = this.actor.items.filter(i => !["class", "subclass"].includes(i.type) && i.hasAdvancement);
+    const canRollback = this.actor.isOwner;
+    const classLevels = {};
+    context.levels = history.map((cls, index) => {
+      const level = index + 1;
+      const classLevel = classLevels[cls.id] = (classLevels[cls.id] ?? 0) + 1;
+      const characterLevels = level === 1 ? [0, 1] : [level];
+      return {
+        level, classLevel,
+        class: cls,
+        entries: [
+          ...this._prepareEntries(cls, classLevel),
+          ...this._prepareEntries(cls.subclass, classLevel),
+          ...others.flatMap(i => characterLevels.flatMap(l => this._prepareEntries(i, l)))
+        ],
+        canRollback: canRollback && (level < history.length)
+      };
+    }).reverse();
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Describe the choices made for an item's advancements at a specific level.
+   * @param {Item5e} item   Item with advancement.
+   * @param {number} level  Level at which the advancements were applied.
+   * @returns {object[]}
+   * @protected
+   */
+  _prepareEntries(item, level) {
+    return (item?.advancement.byLevel[level] ?? []).filter(a => a.appliesToClass).map(advancement => ({
+      advancement, item,
+      title: advancement.titleForLevel(level),
+      summary: advancement.summaryForLevel(level)
+    }));
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Handling                              */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  activateListeners(jQuery) {
+    super.activateListeners(jQuery);
+    for ( const element of jQuery[0].querySelectorAll('[data-action="rollback"]') ) {
+      element.addEventListener("click", this._onRollback.bind(this));
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Confirm and then roll the character back to the selected level.
+   * @param {PointerEvent} event  Triggering click event.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onRollback(event) {
+    event.preventDefault();
+    const level = Number(event.currentTarget.closest("[data-level]")?.dataset.level);
+    const history = this.actor.system.classHistory ?? [];
+    if ( !Number.isInteger(level) || (level >= history.length) ) return;
+
+    // Determine the levels that will be removed from each class
+    const changes = history.slice(level).reduce((map, cls) => {
+      const change = map.get(cls) ?? { from: cls.system.levels, to: cls.system.levels };
+      change.to -= 1;
+      return map.set(cls, change);
+    }, new Map());
+    const list = Array.from(changes.entries()).map(([cls, { from, to }]) => `<li>${game.i18n.format(
+      "DND5E.BuildHistory.Rollback.Change", { class: cls.name, from, to }
+    )}</li>`).join("");
+
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("DND5E.BuildHistory.Rollback.Title"),
+      content: `<p>${game.i18n.format("DND5E.BuildHistory.Rollback.Content", { level })}</p><ul>${list}</ul>`
+    });
+    if ( !confirmed ) return;
+    await this.close();
+
+    if ( !game.settings.get("dnd5e", "disableAdvancements") ) {
+      const manager = AdvancementManager.forRollback(this.actor, level);
+      if ( manager.steps.length ) return manager.render(true);
+    }
+
+    const toDelete = [];
+    const toUpdate = [];
+    for ( const [cls, { to }] of changes.entries() ) {
+      if ( to > 0 ) toUpdate.push({ _id: cls.id, "system.levels": to });
+      else toDelete.push(cls.id);
+    }
+    await this.actor.updateEmbeddedDocuments("Item", toUpdate);
+    await this.actor.deleteEmbeddedDocuments("Item", toDelete);
+  }
+}
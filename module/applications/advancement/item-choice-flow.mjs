@@ -114,10 +114,11 @@ export default class ItemChoiceFlow extends ItemGrantFlow {
 
     context.items = [...this.pool, ...this.dropped].reduce((items, i) => {
       if ( i ) {
+        const failures = i.system.prerequisites?.evaluate?.(this.advancement.actor, { level: this.level }) ?? [];
         i.checked = this.selected.has(i.uuid);
-        i.disabled = !i.checked && context.choices.full;
-        const validLevel = (i.system.prerequisites?.level ?? -Infinity) <= this.level;
-        if ( !previouslySelected.has(i.uuid) && validLevel ) items.push(i);
+        i.unmet = failures.length ? game.i18n.getListFormatter().format(failures) : null;
+        i.disabled = !i.checked && (context.choices.full || (!!i.unmet && !game.user.isGM));
+        if ( !previouslySelected.has(i.uuid) ) items.push(i);
       }
       return items;
     }, []);
@@ -205,13 +206,8 @@ export default class ItemChoiceFlow extends ItemGrantFlow {
       }
     }
 
-    // If a feature has a level pre-requisite, make sure it is less than or equal to current level
-    if ( (item.system.prerequisites?.level ?? -Infinity) > this.level ) {
-      ui.notifications.error(game.i18n.format("DND5E.AdvancementItemChoiceFeatureLevelWarning", {
-        level: item.system.prerequisites.level
-      }));
-      return null;
-    }
+    // If a feature has prerequisites, make sure they are met by the actor or overridden by the GM
+    if ( !(await this._validatePrerequisites(item, { level: this.level })) ) return null;
 
     // If spell level is restricted to available level, ensure the spell is of the appropriate level
     const spellLevel = this.advancement.configuration.restriction.level;
@@ -0,0 +1,113 @@
+import DialogMixin from "../dialog-mixin.mjs";
+import AdvancementManager from "./advancement-manager.mjs";
+
+/**
+ * Read-only dialog that previews the advancements a class will grant at its next level and the changes they would
+ * make to the actor, without modifying it.
+ *
+ * @param {Item5e} item          Class being previewed.
+ * @param {object} [options={}]  Additional application options.
+ */
+export default class LevelUpPreview extends DialogMixin(Application) {
+  constructor(item, options={}) {
+    super(options);
+
+    /**
+     * The class being previewed.
+     * @type {Item5e}
+     */
+    this.item = item;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dnd5e2", "level-up-preview", "dialog"],
+      template: "systems/dnd5e/templates/apps/level-up-preview.hbs",
+      width: 420,
+      height: "auto"
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Properties                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * The actor whose class is being previewed.
+   * @type {Actor5e}
+   */
+  get actor() {
+    return this.item.actor;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  get id() {
+    return `level-up-preview-${this.actor.id}-${this.item.id}`;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  get title() {
+    return game.i18n.format("DND5E.AdvancementPreviewTitle", {
+      class: this.item.name, level: this.item.system.levels + 1
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async getData(options={}) {
+    const context = await super.getData(options);
+    const manager = AdvancementManager.forLevelChange(this.actor, this.item.id, 1);
+    context.entries = manager.preview();
+    const changes = await manager.dryRun();
+    const hp = foundry.utils.getProperty(changes.actor, "system.attributes.hp.value");
+    if ( hp !== undefined ) context.hp = hp - this.actor.system.attributes.hp.value;
+    context.items = changes.toCreate.map(i => ({ name: i.name, img: i.img }));
+    if ( changes.pending.length ) {
+      const pluralRules = new Intl.PluralRules(game.i18n.lang);
+      context.pending = game.i18n.format(
+        `DND5E.AdvancementPreviewPending.${pluralRules.select(changes.pending.length)}`,
+        { count: changes.pending.length }
+      );
+    }
+    context.canLevelUp = this.actor.isOwner && (this.item.system.levels < CONFIG.DND5E.maxLevel);
+    return context;
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Handling                              */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  activateListeners(jQuery) {
+    super.activateListeners(jQuery);
+    jQuery[0].querySelector('[data-action="level-up"]')?.addEventListener("click", this._onLevelUp.bind(this));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Close the preview and begin advancing the class to its next level.
+   * @param {PointerEvent} event  Triggering click event.
+   * @returns {Promise<AdvancementManager|Item5e>}
+   * @protected
+   */
+  async _onLevelUp(event) {
+    event.preventDefault();
+    await this.close();
+    if ( !game.settings.get("dnd5e", "disableAdvancements") ) {
+      const manager = AdvancementManager.forLevelChange(this.actor, this.item.id, 1);
+      if ( manager.steps.length ) return manager.render(true);
+    }
+    return this.item.update({"system.levels": this.item.system.levels + 1});
+  }
+}
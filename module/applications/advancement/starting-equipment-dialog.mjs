@@ -0,0 +1,317 @@
+import DialogMixin from "../dialog-mixin.mjs";
+
+/**
+ * Application for choosing the starting equipment granted by a character's first class or background, or taking its
+ * starting wealth instead.
+ */
+export default class StartingEquipmentDialog extends DialogMixin(FormApplication) {
+
+  /** @inheritDoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dnd5e2", "starting-equipment-dialog", "dialog"],
+      template: "systems/dnd5e/templates/apps/starting-equipment-dialog.hbs",
+      width: 420,
+      height: "auto",
+      scrollY: [".equipment-entries"]
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Item types whose starting equipment can be granted.
+   * @type {Set<string>}
+   */
+  static ITEM_TYPES = new Set(["background", "class"]);
+
+  /* -------------------------------------------- */
+  /*  Properties                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * The actor receiving the equipment.
+   * @type {Actor5e}
+   */
+  get actor() {
+    return this.object.actor;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  get title() {
+    return game.i18n.format("DND5E.StartingEquipment.Grant.Title", { item: this.object.name });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Items that can be chosen for each entry, cached once resolved.
+   * @type {Map<string, EquipmentEntryItem[]>}
+   */
+  #options = new Map();
+
+  /* -------------------------------------------- */
+
+  /**
+   * Display the dialog for any of the provided items that grant starting equipment.
+   * @param {Item5e[]} items                      Items that have just been added to an actor.
+   * @param {object} [options={}]
+   * @param {boolean} [options.firstClass=false]  Were these items added to an actor without any prior classes?
+   * @returns {StartingEquipmentDialog[]}         Dialogs that were rendered.
+   */
+  static promptForItems(items, { firstClass=false }={}) {
+    return items.filter(item => {
+      if ( !this.ITEM_TYPES.has(item?.type) || !item.actor?.system.metadata?.supportsAdvancement ) return false;
+      if ( (item.type === "class") && !firstClass ) return false;
+      return item.system.startingEquipment.length || item.system.wealth;
+    }).map(item => new this(item).render(true));
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async getData(options={}) {
+    const context = super.getData(options);
+    context.title = this.title;
+    context.wealth = this.object.system.wealth;
+    context.entries = await Promise.all(
+      this.object.system.startingEquipment.filter(e => !e.group).sort((lhs, rhs) => lhs.sort - rhs.sort)
+        .map(e => this._prepareEntry(e))
+    );
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prepare an equipment entry and its children for display.
+   * @param {EquipmentEntryData} entry  Entry being prepared.
+   * @returns {Promise<object>}
+   * @protected
+   */
+  async _prepareEntry(entry) {
+    const context = { id: entry._id, type: entry.type };
+    if ( entry.type in entry.constructor.GROUPING_TYPES ) {
+      context.grouping = true;
+      context.operator = entry.constructor.GROUPING_TYPES[entry.type];
+      context.children = await Promise.all(entry.children.map(c => this._prepareEntry(c)));
+      if ( entry.type === "OR" ) context.children.forEach((c, index) => {
+        c.choiceOf = entry._id;
+        c.selected = index === 0;
+      });
+      return context;
+    }
+
+    const options = await this._getEntryOptions(entry);
+    context.count = entry.count > 1 ? entry.count : null;
+    context.unavailable = !options.length;
+    if ( entry.type === "linked" ) {
+      const item = options[0] ?? fromUuidSync(entry.key);
+      context.name = item?.name ?? entry.key;
+      context.img = item?.img;
+    } else {
+      context.name = entry.label;
+      context.options = Object.fromEntries(options.map(o => [o.uuid, o.name]));
+    }
+    return context;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Resolve the items available for an entry, removing any the actor isn't proficient with if proficiency is required.
+   * @param {EquipmentEntryData} entry  Entry being resolved.
+   * @returns {Promise<EquipmentEntryItem[]>}
+   * @protected
+   */
+  async _getEntryOptions(entry) {
+    if ( this.#options.has(entry._id) ) return this.#options.get(entry._id);
+    let options = await entry.getItemOptions();
+    if ( entry.requiresProficiency ) {
+      const checks = await Promise.all(options.map(async option => {
+        if ( entry.type !== "linked" ) return this._isProficient(entry.type, option);
+        const item = await fromUuid(option.uuid);
+        const type = { equipment: "armor", tool: "tool", weapon: "weapon" }[item?.type];
+        return this._isProficient(type, { baseItem: item?.system.type?.baseItem, category: item?.system.type?.value });
+      }));
+      options = options.filter((o, index) => checks[index]);
+    }
+    this.#options.set(entry._id, options);
+    return options;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine whether the actor is proficient with an item.
+   * @param {string} type               Equipment category type (e.g. "armor", "tool", or "weapon").
+   * @param {object} item
+   * @param {string} [item.baseItem]    Base item identifier.
+   * @param {string} [item.category]    Type of the item within its category.
+   * @returns {boolean}
+   * @protected
+   */
+  _isProficient(type, { baseItem, category }) {
+    const system = this.actor.system;
+    switch ( type ) {
+      case "armor":
+        const armorProf = CONFIG.DND5E.armorProficienciesMap[category];
+        const armorProfs = system.traits?.armorProf?.value ?? new Set();
+        return (armorProf === true) || armorProfs.has(armorProf) || armorProfs.has(baseItem);
+      case "tool":
+        return !!(system.tools?.[baseItem]?.value || system.tools?.[category]?.value);
+      case "weapon":
+        const weaponProfs = system.traits?.weaponProf?.value ?? new Set();
+        return weaponProfs.has(CONFIG.DND5E.weaponProficienciesMap[category]) || weaponProfs.has(baseItem);
+      default:
+        return true;
+    }
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Handling                              */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  activateListeners(jQuery) {
+    super.activateListeners(jQuery);
+    this._updateSelection();
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onChangeInput(event) {
+    super._onChangeInput(event);
+    this._updateSelection();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Disable the inputs for any entries that aren't currently selected.
+   * @protected
+   */
+  _updateSelection() {
+    const wealth = this.form.querySelector('[name="mode"]:checked')?.value === "wealth";
+    const list = this.form.querySelector(".equipment-entries");
+    list?.classList.toggle("disabled", wealth);
+    for ( const element of this.form.querySelectorAll(".equipment-entry[data-choice-of]") ) {
+      const radio = element.querySelector(":scope > input[type=radio]");
+      const inactive = wealth || !radio.checked
+        || !!element.parentElement.closest(".equipment-entry.inactive");
+      element.classList.toggle("inactive", inactive);
+    }
+    for ( const input of this.form.querySelectorAll(".equipment-entries :is(input, select)") ) {
+      const entry = input.closest(".equipment-entry");
+      const parentInactive = !!entry.parentElement.closest(".equipment-entry.inactive");
+      input.disabled = wealth || parentInactive
+        || ((input.tagName === "SELECT") && entry.classList.contains("inactive"));
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async _updateObject(event, formData) {
+    const { mode, choices={}, items={} } = foundry.utils.expandObject(formData);
+    if ( mode === "wealth" ) return this._grantWealth();
+
+    const grants = [];
+    const collect = entry => {
+      switch ( entry.type ) {
+        case "AND":
+          entry.children.forEach(collect);
+          break;
+        case "OR":
+          const choice = entry.children.find(c => c._id === choices[entry._id]);
+          if ( choice ) collect(choice);
+          break;
+        case "linked":
+          if ( this.#options.get(entry._id)?.length ) grants.push({ uuid: entry.key, count: entry.count });
+          break;
+        default:
+          if ( items[entry._id] ) grants.push({ uuid: items[entry._id], count: entry.count });
+          break;
+      }
+    };
+    this.object.system.startingEquipment.filter(e => !e.group).forEach(collect);
+
+    const toCreate = [];
+    for ( const { uuid, count } of grants ) {
+      const item = await fromUuid(uuid);
+      if ( !item ) continue;
+      toCreate.push(...await Item.implementation.createWithContents([item], {
+        transformFirst: item => {
+          const itemData = game.items.fromCompendium(item);
+          foundry.utils.setProperty(itemData, "flags.dnd5e.sourceId", uuid);
+          if ( count > 1 ) foundry.utils.setProperty(itemData, "system.quantity", count);
+          return itemData;
+        }
+      }));
+    }
+
+    /**
+     * A hook event that fires before starting equipment is added to an actor.
+     * @function dnd5e.preGrantStartingEquipment
+     * @memberof hookEvents
+     * @param {Item5e} item          Class or background granting the equipment.
+     * @param {object[]} toCreate    Data for the items that will be created on the actor.
+     * @returns {boolean}            Explicitly return `false` to prevent the equipment from being granted.
+     */
+    if ( Hooks.call("dnd5e.preGrantStartingEquipment", this.object, toCreate) === false ) return;
+
+    const created = await Item.implementation.createDocuments(toCreate, { parent: this.actor, keepId: true });
+
+    /**
+     * A hook event that fires after starting equipment has been added to an actor.
+     * @function dnd5e.grantStartingEquipment
+     * @memberof hookEvents
+     * @param {Item5e} item          Class or background that granted the equipment.
+     * @param {Item5e[]} created     Items created on the actor.
+     */
+    Hooks.callAll("dnd5e.grantStartingEquipment", this.object, created);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Roll the starting wealth formula and add the result to the actor's gold.
+   * @returns {Promise<Actor5e|void>}
+   * @protected
+   */
+  async _grantWealth() {
+    const roll = new Roll(this.object.system.wealth, this.actor.getRollData());
+    await roll.evaluate();
+    const gp = Math.max(roll.total, 0);
+
+    /**
+     * A hook event that fires before starting wealth is added to an actor in place of starting equipment.
+     * @function dnd5e.preGrantStartingWealth
+     * @memberof hookEvents
+     * @param {Item5e} item  Class or background granting the wealth.
+     * @param {Roll} roll    Roll that determined the amount of gold.
+     * @returns {boolean}    Explicitly return `false` to prevent the wealth from being granted.
+     */
+    if ( Hooks.call("dnd5e.preGrantStartingWealth", this.object, roll) === false ) return;
+
+    await roll.toMessage({
+      speaker: ChatMessage.getSpeaker({ actor: this.actor }),
+      flavor: game.i18n.format("DND5E.StartingEquipment.Grant.WealthFlavor", { item: this.object.name })
+    });
+    await this.actor.update({ "system.currency.gp": (this.actor.system.currency?.gp ?? 0) + gp });
+
+    /**
+     * A hook event that fires after starting wealth has been added to an actor.
+     * @function dnd5e.grantStartingWealth
+     * @memberof hookEvents
+     * @param {Item5e} item  Class or background that granted the wealth.
+     * @param {number} gp    Amount of gold added.
+     */
+    Hooks.callAll("dnd5e.grantStartingWealth", this.object, gp);
+  }
+}
@@ -3,6 +3,48 @@
  * @extends {CombatTracker}
  */
 export default class CombatTracker5e extends CombatTracker {
+  /** @inheritdoc */
+  activateListeners(html) {
+    super.activateListeners(html);
+    this._addActionEconomy(html[0]);
+    this._groupSummons(html[0]);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Indent summoned creatures and note who summoned them, so they read as grouped beneath their summoner.
+   * @param {HTMLElement} html  The rendered markup.
+   * @protected
+   */
+  _groupSummons(html) {
+    for ( const li of html.querySelectorAll(".combatant[data-combatant-id]") ) {
+      const summoner = this.viewed?.combatants.get(li.dataset.combatantId)?.summoner;
+      if ( !summoner ) continue;
+      const previous = li.previousElementSibling?.dataset.combatantId;
+      li.classList.add("summoned");
+      li.classList.toggle("grouped", [summoner.id, ...summoner.summons.map(c => c.id)].includes(previous));
+      li.dataset.tooltip = game.i18n.format("DND5E.Combat.Summoned", { name: summoner.name });
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Display the action economy of each combatant beneath its name.
+   * @param {HTMLElement} html  The rendered markup.
+   * @protected
+   */
+  async _addActionEconomy(html) {
+    for ( const li of html.querySelectorAll(".combatant[data-combatant-id]") ) {
+      const combatant = this.viewed?.combatants.get(li.dataset.combatantId);
+      const element = await combatant?.renderActionEconomy();
+      if ( element ) li.querySelector(".token-name")?.append(element);
+    }
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritdoc */
   async _onCombatantControl(event) {
     const btn = event.currentTarget;
@@ -367,9 +367,10 @@ export default class DamageApplicationElement extends ChatTrayElement {
    */
   async _onApplyDamage(event) {
     event.preventDefault();
+    const isCritical = this.chatMessage.rolls.some(r => r.isCritical);
     for ( const target of this.targetList.querySelectorAll("[data-target-uuid]") ) {
       const token = fromUuidSync(target.dataset.targetUuid);
-      const options = this.getTargetOptions(target.dataset.targetUuid);
+      const options = { ...this.getTargetOptions(target.dataset.targetUuid), isCritical };
       await token?.applyDamage(this.damages, options);
     }
     this.open = false;
@@ -123,6 +123,9 @@ export default class EnchantmentApplicationElement extends HTMLElement {
       return;
     }
 
+    // Ensure the enchantment's item limit isn't exceeded
+    if ( !(await EnchantmentData.confirmBinding(this.enchantmentItem)) ) return;
+
     const effectData = effect.toObject();
     effectData.origin = this.enchantmentItem.uuid;
     const applied = await ActiveEffect.create(effectData, {
@@ -1,5 +1,6 @@
 import Item5e from "../../documents/item.mjs";
 import {parseInputDelta} from "../../utils.mjs";
+import LevelUpPreview from "../advancement/level-up-preview.mjs";
 import CurrencyManager from "../currency-manager.mjs";
 import ContextMenu5e from "../context-menu.mjs";
 
@@ -211,6 +212,22 @@ export default class InventoryElement extends HTMLElement {
         condition: li => (item.type === "spell") && this.actor?.isOwner,
         group: "action"
       },
+      {
+        name: item.type === "spell" ? "DND5E.Crafting.Action.Scroll" : "DND5E.Crafting.Action.Craft",
+        icon: '<i class="fa-solid fa-hammer"></i>',
+        callback: () => this.actor.startCrafting(item),
+        condition: () => this.actor?.isOwner && this.actor.system.currency
+          && !!this.actor.constructor.getCraftingType(item),
+        group: "action"
+      },
+      {
+        name: "DND5E.AdvancementPreviewAction",
+        icon: '<i class="fa-solid fa-binoculars"></i>',
+        callback: () => new LevelUpPreview(item).render(true),
+        condition: () => (item.type === "class") && this.actor?.system.metadata?.supportsAdvancement
+          && (item.system.levels < CONFIG.DND5E.maxLevel),
+        group: "action"
+      },
       {
         name: "DND5E.ConcentrationBreak",
         icon: '<dnd5e-icon src="systems/dnd5e/icons/svg/break-concentration.svg"></dnd5e-icon>',
@@ -400,6 +417,7 @@ export default class InventoryElement extends HTMLElement {
       case "favorite":
         return this.actor.system.addFavorite({type: "item", id: item.getRelativeUUID(this.actor)});
       case "prepare":
+        if ( !item.system.preparation?.prepared ) this._warnPreparedSpellLimit(item);
         return item.update({"system.preparation.prepared": !item.system.preparation?.prepared});
       case "recharge":
         return item.rollRecharge();
@@ -442,6 +460,22 @@ export default class InventoryElement extends HTMLElement {
 
   /* -------------------------------------------- */
 
+  /**
+   * Warn if preparing a spell would exceed the number of spells its class is able to prepare.
+   * @param {Item5e} item  Spell being prepared.
+   * @protected
+   */
+  _warnPreparedSpellLimit(item) {
+    const cls = item.system.spellcastingClass;
+    const limit = cls?.system.spellPreparation?.spells;
+    if ( (item.system.level === 0) || !limit || limit.known || (limit.value < limit.max) ) return;
+    ui.notifications.warn(game.i18n.format("DND5E.SpellPreparationManager.Warning", {
+      class: cls.name, max: limit.max
+    }));
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Expand or collapse an item's summary.
    * @param {HTMLElement} target  Button or context menu entry that triggered this action.
@@ -162,6 +162,52 @@ export default class CurrencyManager extends DialogMixin(FormApplication) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Calculate the currency that would remain after paying an amount, spending lower denominations first and
+   * breaking larger coins into change when necessary.
+   * See CONFIG.DND5E.currencies for configuration.
+   * @param {Record<string, number>} currency  Currently held currency.
+   * @param {number} amount                    Amount to deduct.
+   * @param {string} [denomination="gp"]       Denomination in which the amount is expressed.
+   * @returns {Record<string, number>|null}    Remaining currency, or `null` if the amount cannot be afforded.
+   */
+  static calculateDeduction(currency, amount, denomination="gp") {
+    const currencies = Object.entries(CONFIG.DND5E.currencies).filter(([, c]) => c.conversion);
+    const unit = Math.max(...currencies.map(([, c]) => c.conversion));
+    const values = Object.fromEntries(currencies.map(([k, c]) => [k, unit / c.conversion]));
+    currencies.sort(([a], [b]) => values[a] - values[b]);
+    const remaining = Object.fromEntries(currencies.map(([k]) => [k, currency[k] ?? 0]));
+
+    // Ensure the total value of the currency covers the amount
+    let owed = Math.ceil(amount * (values[denomination] ?? unit));
+    const total = currencies.reduce((t, [k]) => t + (remaining[k] * values[k]), 0);
+    if ( total < owed ) return null;
+
+    // Spend whole coins, starting with the lowest denominations
+    for ( const [k] of currencies ) {
+      const spent = Math.min(remaining[k], Math.floor(owed / values[k]));
+      remaining[k] -= spent;
+      owed -= spent * values[k];
+    }
+
+    // Break the smallest remaining coin that covers the rest and return the change in lower denominations
+    if ( owed > 0 ) {
+      const [coin] = currencies.find(([k]) => remaining[k] && (values[k] >= owed));
+      remaining[coin] -= 1;
+      let change = values[coin] - owed;
+      for ( const [k] of [...currencies].reverse() ) {
+        if ( values[k] >= values[coin] ) continue;
+        const count = Math.floor(change / values[k]);
+        remaining[k] += count;
+        change -= count * values[k];
+      }
+    }
+
+    return remaining;
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Transfer currency between one document and another.
    * @param {Actor5e|Item5e} origin       Document from which to move the currency.
@@ -5,5 +5,6 @@ export {default as ItemSheet5e} from "./item-sheet.mjs";
 
 export {default as AbilityUseDialog} from "./ability-use-dialog.mjs";
 export {default as EnchantmentConfig} from "./enchantment-config.mjs";
+export {default as PrerequisitesConfig} from "./prerequisites-config.mjs";
 export {default as StartingEquipmentConfig} from "./starting-equipment-config.mjs";
 export {default as SummoningConfig} from "./summoning-config.mjs";
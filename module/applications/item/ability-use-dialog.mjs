@@ -1,5 +1,6 @@
 import { EnchantmentData } from "../../data/item/fields/enchantment-field.mjs";
 import simplifyRollFormula from "../../dice/simplify-roll-formula.mjs";
+import { formatNumber } from "../../utils.mjs";
 
 /**
  * A specialized Dialog subclass for ability usage.
@@ -59,6 +60,7 @@ export default class AbilityUseDialog extends Dialog {
     const resourceOptions = this._createResourceOptions(item);
 
     const slotOptions = this._createSpellSlotOptions(item.actor, item.system.level);
+    const castPreviews = this._createCastPreviews(item, config.consumeSpellSlot ? slotOptions : [], config.slotLevel);
     if ( (item.type === "spell") && (item.system.level > 0) ) {
       const slot = slotOptions.find(s => s.key === config.slotLevel) ?? slotOptions.find(s => s.canCast);
       if ( slot ) item = item.clone({ "system.level": slot.level });
@@ -68,6 +70,7 @@ export default class AbilityUseDialog extends Dialog {
       item,
       ...config,
       slotOptions: config.consumeSpellSlot ? slotOptions : [],
+      castPreviews,
       enchantmentOptions: this._createEnchantmentOptions(item),
       summoningOptions: this._createSummoningOptions(item),
       resourceOptions: resourceOptions,
@@ -188,6 +191,32 @@ export default class AbilityUseDialog extends Dialog {
 
   /* -------------------------------------------- */
 
+  /**
+   * Create previews of a spell's scaled damage, targets, and duration for each level at which it can be cast.
+   * @param {Item5e} item           The spell being cast.
+   * @param {object[]} slotOptions  Spell slot options available to cast the spell.
+   * @param {string} [slotLevel]    Key of the spell slot selected by default.
+   * @returns {object[]}            Previews for the spell's base level and for each slot.
+   * @protected
+   */
+  static _createCastPreviews(item, slotOptions, slotLevel) {
+    if ( item.type !== "spell" ) return [];
+    const base = { key: "", level: item.system.level };
+    const slots = slotOptions.filter(s => s.canCast);
+    const selected = slots.find(s => s.key === slotLevel) ?? slots[0] ?? base;
+    const damageLabel = item.system.actionType === "heal" ? "DND5E.Healing" : "DND5E.Damage";
+    const previews = [base, ...slots].map(slot => ({
+      ...item.getCastPreview(slot.level),
+      key: slot.key,
+      label: game.i18n.format("DND5E.SpellCastPreview", { level: CONFIG.DND5E.spellLevels[slot.level] }),
+      damageLabel,
+      selected: slot === selected
+    }));
+    return previews.some(p => p.damage.length || p.target || p.duration) ? previews : [];
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Create details on enchantment that can be applied.
    * @param {Item5e} item  The item.
@@ -430,6 +459,21 @@ export default class AbilityUseDialog extends Dialog {
       }
     }
 
+    // Warn that the actor cannot provide the spell's components.
+    if ( item.type === "spell" ) {
+      const blocked = item.system.blockedComponents;
+      if ( blocked.size ) {
+        const components = new Intl.ListFormat(game.i18n.lang, { style: "long", type: "conjunction" })
+          .format(Array.from(blocked).map(c => CONFIG.DND5E.spellComponents[c]?.label ?? c));
+        warnings.push(game.i18n.format("DND5E.SpellCastComponentsBlocked", { name: item.name, components }));
+      }
+      if ( item.system.hasCostlyMaterials && (item.actor.type === "character") && !item.system.findMaterialSource() ) {
+        warnings.push(game.i18n.format("DND5E.SpellCastNoMaterials", {
+          name: item.name, cost: formatNumber(item.system.materials.cost)
+        }));
+      }
+    }
+
     // Display warnings that the actor cannot concentrate on this item, or if it must replace one of the effects.
     if ( data.concentration.show ) {
       const locale = `DND5E.ConcentratingWarnLimit${data.concentration.optional ? "Optional" : ""}`;
@@ -469,6 +513,39 @@ export default class AbilityUseDialog extends Dialog {
     const [html] = jQuery;
 
     html.querySelector('[name="slotLevel"]')?.addEventListener("change", this._onChangeSlotLevel.bind(this));
+    const ritual = html.querySelector('[name="castAsRitual"]');
+    if ( ritual ) {
+      ritual.addEventListener("change", this._onChangeCastAsRitual.bind(this));
+      this._onChangeCastAsRitual({ target: ritual });
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Disable spell slot options when casting a spell as a ritual.
+   * @param {Event} event  Triggering change event.
+   */
+  _onChangeCastAsRitual(event) {
+    const ritual = event.target.checked;
+    this.element[0].querySelectorAll('[name="slotLevel"], [name="consumeSpellSlot"]').forEach(input => {
+      input.disabled = ritual;
+    });
+    const slot = this.element[0].querySelector('[name="slotLevel"]');
+    this._updateCastPreview(ritual ? null : slot?.value);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Show the cast preview matching the selected spell slot, or the spell's base level if no slot is used.
+   * @param {string|null} slotLevel  Key of the selected spell slot.
+   * @protected
+   */
+  _updateCastPreview(slotLevel) {
+    const previews = Array.from(this.element[0].querySelectorAll(".cast-preview"));
+    const show = previews.find(p => p.dataset.slotLevel === (slotLevel ?? "")) ?? previews[0];
+    previews.forEach(p => p.hidden = p !== show);
   }
 
   /* -------------------------------------------- */
@@ -478,6 +555,7 @@ export default class AbilityUseDialog extends Dialog {
    * @param {Event} event  Triggering change event.
    */
   _onChangeSlotLevel(event) {
+    this._updateCastPreview(event.target.value);
     const level = this.item.actor?.system.spells?.[event.target.value]?.level;
     const item = this.item.clone({ "system.level": level ?? this.item.system.level });
     this._updateProfilesInput(
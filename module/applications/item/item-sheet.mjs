@@ -1,5 +1,6 @@
 import ActiveEffect5e from "../../documents/active-effect.mjs";
 import * as Trait from "../../documents/actor/trait.mjs";
+import { EnchantmentData } from "../../data/item/fields/enchantment-field.mjs";
 import { filteredKeys, sortObjectEntries } from "../../utils.mjs";
 import ActorMovementConfig from "../actor/movement-config.mjs";
 import ActorSensesConfig from "../actor/senses-config.mjs";
@@ -10,6 +11,7 @@ import Accordion from "../accordion.mjs";
 import EffectsElement from "../components/effects.mjs";
 import SourceConfig from "../source-config.mjs";
 import EnchantmentConfig from "./enchantment-config.mjs";
+import PrerequisitesConfig from "./prerequisites-config.mjs";
 import StartingEquipmentConfig from "./starting-equipment-config.mjs";
 import SummoningConfig from "./summoning-config.mjs";
 
@@ -139,6 +141,7 @@ export default class ItemSheet5e extends ItemSheet {
         actor: enchantment.parent.actor,
         item: enchantment.parent
       })),
+      boundEnchantments: item.system.isEnchantmentSource ? this._getBoundEnchantments() : null,
 
       // Prepare Active Effects
       effects: EffectsElement.prepareCategories(item.effects, { parent: this.item }),
@@ -194,6 +197,31 @@ export default class ItemSheet5e extends ItemSheet {
 
   /* -------------------------------------------- */
 
+  /**
+   * Prepare the items bound by the enchantments grouped under this enchantment source.
+   * @returns {object}
+   * @protected
+   */
+  _getBoundEnchantments() {
+    const limit = EnchantmentData.bindingLimit(this.item);
+    const period = this.item.system.enchantment?.items.period;
+    return {
+      value: EnchantmentData.boundEnchantments(this.item).map(enchantment => ({
+        enchantment,
+        name: enchantment.parent._source.name,
+        actor: enchantment.parent.actor,
+        item: enchantment.parent,
+        source: fromUuidSync(enchantment.origin)?.name ?? enchantment.name
+      })),
+      max: Number.isFinite(limit) ? limit : null,
+      locked: this.item.getFlag("dnd5e", "bindingLocked") ? game.i18n.format("DND5E.Enchantment.Bound.Locked", {
+        period: CONFIG.DND5E.enchantmentPeriods[period]?.label ?? ""
+      }) : null
+    };
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Get the display object used to show the advancement tab.
    * @param {Item5e} item  The item for which the advancement is being prepared.
@@ -615,6 +643,9 @@ export default class ItemSheet5e extends ItemSheet {
       case "movement":
         app = new ActorMovementConfig(this.item, { keyPath: "system.movement" });
         break;
+      case "prerequisites":
+        app = new PrerequisitesConfig(this.item);
+        break;
       case "senses":
         app = new ActorSensesConfig(this.item, { keyPath: "system.senses" });
         break;
@@ -786,6 +817,7 @@ export default class ItemSheet5e extends ItemSheet {
         errors.forEach(err => ui.notifications.error(err.message));
         return false;
       }
+      if ( !(await EnchantmentData.confirmBinding(effect.parent)) ) return false;
       effectData.origin ??= effect.parent.uuid;
       keepOrigin = true;
     }
@@ -0,0 +1,108 @@
+import * as Trait from "../../documents/actor/trait.mjs";
+
+/**
+ * Application for configuring the prerequisites of a feature or class.
+ */
+export default class PrerequisitesConfig extends DocumentSheet {
+
+  /** @inheritDoc */
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      classes: ["dnd5e", "prerequisites-config"],
+      template: "systems/dnd5e/templates/apps/prerequisites-config.hbs",
+      width: 440,
+      height: "auto",
+      sheetConfig: false,
+      closeOnSubmit: false,
+      submitOnChange: true,
+      submitOnClose: true
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Traits whose proficiencies can be required.
+   * @type {string[]}
+   */
+  static PROFICIENCY_TRAITS = ["saves", "skills", "armor", "weapon", "tool"];
+
+  /* -------------------------------------------- */
+  /*  Properties                                  */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  get title() {
+    return `${game.i18n.localize("DND5E.Prerequisites.Action.Configure")}: ${this.document.name}`;
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async getData(options={}) {
+    const context = await super.getData(options);
+    const source = this.document.system._source.prerequisites ?? {};
+    context.source = source;
+    context.abilities = Object.entries(CONFIG.DND5E.abilities).map(([key, { label }]) => ({
+      key, label, value: source.abilities?.[key] ?? null
+    }));
+    context.abilityModes = {
+      all: "DND5E.Prerequisites.AbilityMode.All",
+      any: "DND5E.Prerequisites.AbilityMode.Any"
+    };
+    context.identifiers = (source.identifiers ?? []).join(", ");
+
+    const selected = new Set(source.proficiencies ?? []);
+    context.proficiencies = await Promise.all(this.constructor.PROFICIENCY_TRAITS.map(async trait => {
+      const options = [];
+      const collect = choices => {
+        for ( const [key, choice] of Object.entries(choices) ) {
+          options.push({ key, label: Trait.keyLabel(key), selected: selected.has(key) ? "selected" : "" });
+          if ( choice.children ) collect(choice.children);
+        }
+      };
+      collect(await Trait.choices(trait, { prefixed: true }));
+      return { label: game.i18n.localize(CONFIG.DND5E.traits[trait].labels.title), options };
+    }));
+
+    return context;
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Listeners                             */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  activateListeners(jQuery) {
+    super.activateListeners(jQuery);
+    for ( const element of jQuery[0].querySelectorAll("multi-select") ) {
+      element.addEventListener("change", this._onChangeInput.bind(this));
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _getSubmitData(...args) {
+    const data = foundry.utils.expandObject(super._getSubmitData(...args));
+    data.proficiencies ??= [];
+    data.identifiers = (data.identifiers ?? "").split(",").map(i => i.trim().slugify({ strict: true }))
+      .filter(i => i);
+    for ( const [key, value] of Object.entries(data.abilities ?? {}) ) {
+      if ( !Number.isFinite(value) ) {
+        delete data.abilities[key];
+        data.abilities[`-=${key}`] = null;
+      }
+    }
+    return data;
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  async _updateObject(event, formData) {
+    this.document.update({"system.prerequisites": formData});
+  }
+}
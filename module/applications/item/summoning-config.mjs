@@ -61,6 +61,11 @@ export default class SummoningConfig extends DocumentSheet {
       (lhs.name || lhs.document?.name || "").localeCompare(rhs.name || rhs.document?.name || "", game.i18n.lang)
     );
     context.summons = this.document.system.summons;
+    context.initiativeModes = {
+      "": "DND5E.Summoning.Initiative.None",
+      shared: "DND5E.Summoning.Initiative.Shared",
+      roll: "DND5E.Summoning.Initiative.Roll"
+    };
     context.creatureSizes = Object.entries(CONFIG.DND5E.actorSizes).reduce((obj, [k, c]) => {
       obj[k] = { label: c.label, selected: context.summons?.creatureSizes.has(k) ? "selected" : "" };
       return obj;
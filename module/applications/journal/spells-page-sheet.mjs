@@ -42,6 +42,22 @@ export default class JournalSpellListPageSheet extends JournalPageSheet {
 
   /* -------------------------------------------- */
 
+  /**
+   * UUIDs of the spells currently selected in the list.
+   * @type {Set<string>}
+   */
+  selection = new Set();
+
+  /* -------------------------------------------- */
+
+  /**
+   * Index of the last spell whose selection was toggled, used for selecting ranges of spells.
+   * @type {number|null}
+   */
+  #lastSelected = null;
+
+  /* -------------------------------------------- */
+
   /** @inheritDoc */
   get template() {
     if ( this.options.displayAsTable ) return "systems/dnd5e/templates/journal/page-spell-list-table.hbs";
@@ -68,6 +84,8 @@ export default class JournalSpellListPageSheet extends JournalPageSheet {
     context.grouping = this.grouping || this.options.grouping || context.system.grouping;
 
     context.spells = await this.prepareSpells(context.grouping);
+    for ( const data of context.spells ) data.selected = this.selection.has(data.spell?.uuid);
+    context.selectedCount = this.selection.size;
 
     context.sections = {};
     for ( const data of context.spells ) {
@@ -174,6 +192,9 @@ export default class JournalSpellListPageSheet extends JournalPageSheet {
     html.querySelectorAll("[data-action]").forEach(e => {
       e.addEventListener("click", this._onAction.bind(this));
     });
+    html.querySelectorAll("[data-select-uuid]").forEach(e => {
+      e.addEventListener("click", this._onToggleSelection.bind(this));
+    });
   }
 
   /* -------------------------------------------- */
@@ -206,7 +227,206 @@ export default class JournalSpellListPageSheet extends JournalPageSheet {
       case "edit-unlinked":
         if ( unlinkedId ) new SpellsUnlinkedConfig(unlinkedId, this.document).render(true);
         break;
+      case "select-all":
+        this.document.system.spells.forEach(uuid => this.selection.add(uuid));
+        this._refreshSelection();
+        break;
+      case "select-none":
+        this.selection.clear();
+        this._refreshSelection();
+        break;
+      case "add-to-actor":
+        await this._onAddToActor();
+        break;
+      case "export":
+        await this._onExportSpellbook();
+        break;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Handle toggling the selection of a spell, selecting a range of spells if the shift key is held.
+   * @param {PointerEvent} event  The triggering click event.
+   * @protected
+   */
+  _onToggleSelection(event) {
+    const checkboxes = Array.from(this.element[0]?.querySelectorAll("[data-select-uuid]") ?? []);
+    const index = checkboxes.indexOf(event.currentTarget);
+    const selected = event.currentTarget.checked;
+    const range = event.shiftKey && (this.#lastSelected !== null)
+      ? checkboxes.slice(Math.min(index, this.#lastSelected), Math.max(index, this.#lastSelected) + 1)
+      : [event.currentTarget];
+    for ( const checkbox of range ) {
+      if ( selected ) this.selection.add(checkbox.dataset.selectUuid);
+      else this.selection.delete(checkbox.dataset.selectUuid);
     }
+    this.#lastSelected = index;
+    this._refreshSelection();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Update the rendered checkboxes and selection controls to match the current selection.
+   * @protected
+   */
+  _refreshSelection() {
+    const html = this.element[0];
+    if ( !html ) return;
+    html.querySelectorAll("[data-select-uuid]").forEach(e => e.checked = this.selection.has(e.dataset.selectUuid));
+    const count = html.querySelector(".selected-count");
+    if ( count ) count.innerText = game.i18n.format("JOURNALENTRYPAGE.DND5E.SpellList.Selection.Count", {
+      count: this.selection.size
+    });
+    const button = html.querySelector('[data-action="add-to-actor"]');
+    if ( button ) button.disabled = !this.selection.size;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prompt for an actor and the preparation details to use, then add the selected spells to that actor.
+   * @protected
+   */
+  async _onAddToActor() {
+    const actors = game.actors.filter(a => a.isOwner && ["character", "npc"].includes(a.type));
+    if ( !actors.length ) {
+      ui.notifications.warn("JOURNALENTRYPAGE.DND5E.SpellList.AddToActor.NoActors", { localize: true });
+      return;
+    }
+    const { type, identifier } = this.document.system;
+    const content = await renderTemplate("systems/dnd5e/templates/journal/page-spell-list-add.hbs", {
+      actors: Object.fromEntries(actors.map(a => [a.id, a.name])),
+      actor: game.user.character?.id,
+      modes: CONFIG.DND5E.spellPreparationModes,
+      sourceClass: type === "class" ? identifier : ""
+    });
+    const config = await Dialog.prompt({
+      title: game.i18n.localize("JOURNALENTRYPAGE.DND5E.SpellList.AddToActor.Title"),
+      label: game.i18n.localize("JOURNALENTRYPAGE.DND5E.SpellList.AddToActor.Action"),
+      content,
+      callback: ([html]) => new FormDataExtended(html.querySelector("form")).object,
+      rejectClose: false
+    });
+    const actor = game.actors.get(config?.actor);
+    if ( !actor ) return;
+    const created = await this.addSpellsToActor(actor, Array.from(this.selection), config);
+    ui.notifications.info(game.i18n.format("JOURNALENTRYPAGE.DND5E.SpellList.AddToActor.Added", {
+      count: created.length, actor: actor.name
+    }));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add spells from this list to an actor, skipping any the actor already has for the same class.
+   * @param {Actor5e} actor                  Actor to whom the spells should be added.
+   * @param {string[]} uuids                 UUIDs of the spells to add.
+   * @param {object} [options={}]
+   * @param {string} [options.sourceClass]   Identifier of the class through which the spells are cast.
+   * @param {string} [options.mode]          Preparation mode for the spells.
+   * @param {boolean} [options.prepared]     Should the spells be prepared?
+   * @returns {Promise<Item5e[]>}            Spells that were created.
+   */
+  async addSpellsToActor(actor, uuids, { sourceClass="", mode="prepared", prepared=false }={}) {
+    const existing = new Set(actor.itemTypes.spell.filter(s => s.system.sourceClass === sourceClass).map(s => {
+      return s.flags.dnd5e?.sourceId ?? s._stats?.compendiumSource ?? s.flags.core?.sourceId;
+    }));
+    const toCreate = [];
+    for ( const uuid of uuids ) {
+      if ( existing.has(uuid) ) continue;
+      const spell = await fromUuid(uuid);
+      if ( spell?.type !== "spell" ) continue;
+      const itemData = game.items.fromCompendium(spell);
+      foundry.utils.mergeObject(itemData, {
+        "flags.dnd5e.sourceId": uuid,
+        "system.sourceClass": sourceClass,
+        "system.preparation": { mode, prepared }
+      });
+      toCreate.push(itemData);
+    }
+    return actor.createEmbeddedDocuments("Item", toCreate);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prompt for the details of a spellbook and then export it.
+   * @protected
+   */
+  async _onExportSpellbook() {
+    const actors = game.actors.filter(a => a.isOwner && ["character", "npc"].includes(a.type));
+    const destinations = game.packs.filter(p => (p.documentName === "Item") && !p.locked && p.visible)
+      .reduce((obj, p) => {
+        obj[p.collection] = p.metadata.label;
+        return obj;
+      }, { "": game.i18n.localize("JOURNALENTRYPAGE.DND5E.SpellList.Export.World") });
+    const content = await renderTemplate("systems/dnd5e/templates/journal/page-spell-list-export.hbs", {
+      actors: Object.fromEntries(actors.map(a => [a.id, a.name])),
+      actor: game.user.character?.id,
+      destinations,
+      name: this.document.name
+    });
+    const config = await Dialog.prompt({
+      title: game.i18n.localize("JOURNALENTRYPAGE.DND5E.SpellList.Export.Title"),
+      label: game.i18n.localize("JOURNALENTRYPAGE.DND5E.SpellList.Export.Action"),
+      content,
+      callback: ([html]) => new FormDataExtended(html.querySelector("form")).object,
+      rejectClose: false
+    });
+    if ( !config ) return;
+    const actor = game.actors.get(config.actor);
+    const folder = await this.exportSpellbook({
+      actor,
+      name: config.name || (actor ? `${actor.name}: ${this.document.name}` : this.document.name),
+      pack: config.destination || null
+    });
+    if ( folder ) ui.notifications.info(game.i18n.format("JOURNALENTRYPAGE.DND5E.SpellList.Export.Complete", {
+      name: folder.name
+    }));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Export spells from this list into a folder of items in the world or a compendium. If an actor is provided, the
+   * spells on the list that actor has are exported with their preparation details, otherwise the selected spells
+   * (or every spell if none are selected) are exported.
+   * @param {object} [options={}]
+   * @param {Actor5e} [options.actor]        Actor whose spellbook should be exported.
+   * @param {string} [options.name]          Name of the folder to create.
+   * @param {string|null} [options.pack]     Compendium into which the spells should be exported.
+   * @returns {Promise<Folder|void>}         The folder containing the exported spells.
+   */
+  async exportSpellbook({ actor, name=this.document.name, pack=null }={}) {
+    const uuids = this.selection.size ? this.selection : this.document.system.spells;
+    const spells = [];
+    if ( actor ) {
+      for ( const spell of actor.itemTypes.spell ) {
+        const sourceId = spell.flags.dnd5e?.sourceId ?? spell._stats?.compendiumSource ?? spell.flags.core?.sourceId;
+        if ( this.document.system.spells.has(sourceId) ) spells.push(spell.toObject());
+      }
+    } else {
+      for ( const uuid of uuids ) {
+        const spell = await fromUuid(uuid);
+        if ( spell?.type === "spell" ) spells.push(game.items.fromCompendium(spell));
+      }
+    }
+    if ( !spells.length ) {
+      ui.notifications.warn("JOURNALENTRYPAGE.DND5E.SpellList.Export.Empty", { localize: true });
+      return;
+    }
+
+    const folder = await Folder.implementation.create({ name, type: "Item" }, { pack });
+    if ( !folder ) return;
+    spells.forEach(s => {
+      delete s._id;
+      s.folder = folder.id;
+    });
+    await Item.implementation.createDocuments(spells, { pack });
+    return folder;
   }
 
   /* -------------------------------------------- */
@@ -1,6 +1,6 @@
 export {default as AbilityTemplate} from "./ability-template.mjs";
 export * as detectionModes from "./detection-modes/_module.mjs";
-export {measureDistances} from "./grid.mjs";
+export {measureDistances, measureMovement} from "./grid.mjs";
 export {default as MapLocationControlIcon} from "./map-location-control-icon.mjs";
 export {default as Note5e} from "./note.mjs";
 export {default as Token5e} from "./token.mjs";
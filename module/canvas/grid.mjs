@@ -1,3 +1,20 @@
+/**
+ * Measure the distance covered by a straight movement between two points, using the system's diagonal movement rule
+ * on square grids.
+ * @param {Point} origin       Position at which the movement begins.
+ * @param {Point} destination  Position at which the movement ends.
+ * @returns {number}           Distance moved in scene units.
+ */
+export function measureMovement(origin, destination) {
+  // TODO: Remove when v11 support is dropped.
+  if ( game.release.generation < 12 ) {
+    return canvas.grid.measureDistances([{ ray: new Ray(origin, destination) }], { gridSpaces: true })[0];
+  }
+  return canvas.grid.measurePath([origin, destination]).distance;
+}
+
+/* -------------------------------------------- */
+
 /** @inheritDoc */
 export function measureDistances(segments, options={}) {
   if ( !options.gridSpaces ) return BaseGrid.prototype.measureDistances.call(this, segments, options);
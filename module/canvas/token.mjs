@@ -23,6 +23,74 @@ export default class Token5e extends Token {
 
   /* -------------------------------------------- */
 
+  /**
+   * Add the combatant's action economy and a control for mounting the targeted token or dismounting the current
+   * mount to the token HUD.
+   * @param {TokenHUD} app         The TokenHUD application.
+   * @param {HTMLElement} html     The TokenHUD HTML.
+   */
+  static onRenderTokenHUD(app, [html]) {
+    const token = app.object?.document;
+    if ( !token?.isOwner || !token.actor ) return;
+    token.combatant?.renderActionEconomy().then(element => {
+      if ( element ) html.querySelector(".col.middle")?.append(element);
+    });
+    const mounted = !!token.getFlag("dnd5e", "mount.id");
+    const label = game.i18n.localize(`DND5E.Mount.Action.${mounted ? "Dismount" : "Mount"}`);
+    const control = document.createElement("div");
+    control.classList.add("control-icon");
+    if ( mounted ) control.classList.add("active");
+    control.dataset.action = "mount";
+    control.dataset.tooltip = label;
+    control.setAttribute("aria-label", label);
+    control.innerHTML = '<i class="fas fa-horse"></i>';
+    control.addEventListener("click", event => {
+      event.preventDefault();
+      event.stopPropagation();
+      if ( mounted ) return token.dismount();
+      return Token5e.promptMount(token);
+    });
+    html.querySelector(".col.right")?.append(control);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prompt the user to mount the provided token on their currently targeted token.
+   * @param {TokenDocument5e} rider  Token of the creature that will mount.
+   * @returns {Promise<TokenDocument5e|void>}
+   */
+  static async promptMount(rider) {
+    const targets = Array.from(game.user.targets).filter(t => t.document !== rider);
+    if ( targets.length !== 1 ) {
+      ui.notifications.warn("DND5E.Mount.Warning.NoTarget", { localize: true });
+      return;
+    }
+    const mount = targets[0].document;
+    const controlled = await Dialog.wait({
+      title: game.i18n.localize("DND5E.Mount.Title"),
+      content: `<p>${game.i18n.format("DND5E.Mount.Prompt", { rider: rider.name, mount: mount.name })}</p>`,
+      buttons: {
+        controlled: {
+          icon: '<i class="fas fa-horse-head"></i>',
+          label: game.i18n.localize("DND5E.Mount.Controlled"),
+          callback: () => true
+        },
+        independent: {
+          icon: '<i class="fas fa-horse"></i>',
+          label: game.i18n.localize("DND5E.Mount.Independent"),
+          callback: () => false
+        }
+      },
+      default: "controlled",
+      close: () => null
+    });
+    if ( controlled === null ) return;
+    return rider.mountOn(mount, { controlled });
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritdoc */
   async _draw() {
     // Cache the subject texture if needed
@@ -578,6 +578,36 @@ preLocalize("abilityActivationTypes");
 
 /* -------------------------------------------- */
 
+/**
+ * Configuration data for an action tracked as part of a combatant's action economy.
+ *
+ * @typedef {object} ActionEconomyConfiguration
+ * @property {string} label  Localized label for the action.
+ * @property {string} icon   Font Awesome icon class used to display the action.
+ */
+
+/**
+ * Actions tracked for combatants during each turn, keyed by the activation type that spends them.
+ * @enum {ActionEconomyConfiguration}
+ */
+DND5E.actionEconomy = {
+  action: {
+    label: "DND5E.Action",
+    icon: "fas fa-circle"
+  },
+  bonus: {
+    label: "DND5E.BonusAction",
+    icon: "fas fa-square-plus"
+  },
+  reaction: {
+    label: "DND5E.Reaction",
+    icon: "fas fa-rotate-left"
+  }
+};
+preLocalize("actionEconomy", { key: "label" });
+
+/* -------------------------------------------- */
+
 /**
  * Different things that an ability can consume upon use.
  * @enum {string}
@@ -870,6 +900,79 @@ preLocalize("itemRarity");
 
 /* -------------------------------------------- */
 
+/**
+ * Configuration data for a kind of item that can be crafted during downtime.
+ *
+ * @typedef {object} CraftingTypeConfiguration
+ * @property {string} label      Localized label for this crafting type.
+ * @property {string} icon       Icon used to represent this crafting type.
+ * @property {string} basis      Key in `DND5E.craftingCosts` used to determine the time and cost of crafting.
+ * @property {string} [subtype]  Consumable type of the items that can be crafted with this type.
+ */
+
+/**
+ * Kinds of items that can be crafted during downtime.
+ * @enum {CraftingTypeConfiguration}
+ */
+DND5E.craftingTypes = {
+  scroll: {
+    label: "DND5E.Crafting.Type.Scroll",
+    icon: "fa-solid fa-scroll",
+    basis: "spellLevel"
+  },
+  potion: {
+    label: "DND5E.Crafting.Type.Potion",
+    icon: "fa-solid fa-flask",
+    basis: "rarity",
+    subtype: "potion"
+  },
+  wand: {
+    label: "DND5E.Crafting.Type.Wand",
+    icon: "fa-solid fa-wand-magic-sparkles",
+    basis: "rarity",
+    subtype: "wand"
+  }
+};
+preLocalize("craftingTypes", { key: "label" });
+
+/* -------------------------------------------- */
+
+/**
+ * Time in downtime days and cost in gold pieces required to craft an item.
+ *
+ * @typedef {object} CraftingCostConfiguration
+ * @property {number} days  Days of downtime that must be spent crafting.
+ * @property {number} cost  Cost of the materials in gold pieces.
+ */
+
+/**
+ * Tables of crafting costs, keyed by spell level for spell scrolls and by rarity for other magic items.
+ * @type {Record<string, Record<string, CraftingCostConfiguration>>}
+ */
+DND5E.craftingCosts = {
+  spellLevel: {
+    0: { days: 1, cost: 15 },
+    1: { days: 1, cost: 25 },
+    2: { days: 3, cost: 250 },
+    3: { days: 5, cost: 500 },
+    4: { days: 10, cost: 2500 },
+    5: { days: 20, cost: 5000 },
+    6: { days: 40, cost: 15000 },
+    7: { days: 80, cost: 25000 },
+    8: { days: 160, cost: 50000 },
+    9: { days: 240, cost: 250000 }
+  },
+  rarity: {
+    common: { days: 5, cost: 50 },
+    uncommon: { days: 10, cost: 200 },
+    rare: { days: 50, cost: 2000 },
+    veryRare: { days: 125, cost: 20000 },
+    legendary: { days: 250, cost: 100000 }
+  }
+};
+
+/* -------------------------------------------- */
+
 /**
  * The limited use periods that support a recovery formula.
  * @deprecated since DnD5e 3.1, available until DnD5e 3.3
@@ -890,6 +993,7 @@ DND5E.limitedUseFormulaPeriods = {
  * @property {string} label           Localized label.
  * @property {string} abbreviation    Shorthand form of the label.
  * @property {boolean} [formula]      Whether this limited use period restores charges via formula.
+ * @property {boolean} [combat]       Whether this limited use period is recovered during combat.
  */
 
 /**
@@ -923,6 +1027,16 @@ DND5E.limitedUsePeriods = {
     label: "DND5E.UsesPeriods.Dusk",
     abbreviation: "DND5E.UsesPeriods.DuskAbbreviation",
     formula: true
+  },
+  round: {
+    label: "DND5E.UsesPeriods.Round",
+    abbreviation: "DND5E.UsesPeriods.RoundAbbreviation",
+    combat: true
+  },
+  turn: {
+    label: "DND5E.UsesPeriods.Turn",
+    abbreviation: "DND5E.UsesPeriods.TurnAbbreviation",
+    combat: true
   }
 };
 preLocalize("limitedUsePeriods", { keys: ["label", "abbreviation"] });
@@ -1678,6 +1792,18 @@ DND5E.movementTypes = {
 };
 preLocalize("movementTypes", { sort: true });
 
+/* -------------------------------------------- */
+
+/**
+ * Additional cost for each unit of distance moved in combat under certain circumstances. Costs from multiple
+ * circumstances stack, so crawling through difficult terrain costs three times the distance moved.
+ * @enum {number}
+ */
+DND5E.movementPenalties = {
+  crawl: 1,
+  difficultTerrain: 1
+};
+
 /* -------------------------------------------- */
 /*  Measurement                                 */
 /* -------------------------------------------- */
@@ -1950,29 +2076,59 @@ DND5E.hitDieTypes = ["d4", "d6", "d8", "d10", "d12"];
  * Configuration data for rest types.
  *
  * @typedef {object} RestConfiguration
- * @property {Record<string, number>} duration  Duration of different rest variants in minutes.
- */
-
-/**
- * Types of rests.
+ * @property {string} label                        Localized label for the rest type.
+ * @property {string} [icon]                       Font Awesome icon class used for the rest's button on sheets.
+ * @property {string} [hint]                       Localized hint displayed in the rest dialog.
+ * @property {Record<string, number>} duration     Duration of different rest variants in minutes.
+ * @property {boolean} [newDay=false]              Does this rest carry over to a new day by default?
+ * @property {boolean} [spendHitDice=false]        Can hit dice be spent to recover hit points during this rest?
+ * @property {boolean} [recoverHitPoints=false]    Are hit points restored to their maximum?
+ * @property {boolean} [recoverHitDice=false]      Are up to half of the actor's hit dice recovered?
+ * @property {string[]} [recoverPeriods=[]]        Limited use periods, such as "sr" or "lr", that are restored.
+ * @property {string[]} [recoverResources=[]]      Actor resource recovery types ("sr" or "lr") that are restored.
+ * @property {"short"|"all"} [recoverSpellSlots]   Restore slots only for spellcasting types that recover on a short
+ *                                                 rest, or restore all spell slots.
+ * @property {number} [exhaustion=0]               Number of exhaustion levels removed.
+ */
+
+/**
+ * Types of rests. Short and long rests are always available, but additional rest types can be added to provide
+ * other ways of recovering.
  * @enum {RestConfiguration}
  */
 DND5E.restTypes = {
   short: {
+    label: "DND5E.ShortRest",
+    icon: "fas fa-utensils",
+    hint: "DND5E.ShortRestHint",
     duration: {
       normal: 60,
       gritty: 480,
       epic: 1
-    }
+    },
+    spendHitDice: true,
+    recoverPeriods: ["sr"],
+    recoverResources: ["sr"],
+    recoverSpellSlots: "short"
   },
   long: {
+    label: "DND5E.LongRest",
+    icon: "fas fa-campground",
+    hint: "DND5E.LongRestHint",
     duration: {
       normal: 480,
       gritty: 10080,
       epic: 60
-    }
+    },
+    newDay: true,
+    recoverHitPoints: true,
+    recoverHitDice: true,
+    recoverPeriods: ["sr", "lr"],
+    recoverResources: ["lr"],
+    recoverSpellSlots: "all"
   }
 };
+preLocalize("restTypes", { keys: ["label", "hint"] });
 
 /* -------------------------------------------- */
 
@@ -2213,6 +2369,35 @@ preLocalize("spellScalingModes", { sort: true });
 
 /* -------------------------------------------- */
 
+/**
+ * Configuration data for a way in which one spell can respond to another.
+ *
+ * @typedef {object} SpellInteractionConfiguration
+ * @property {string} label              Localized label.
+ * @property {string} icon               Icon displayed on the chat card button.
+ * @property {Set<string>} identifiers  Identifiers of the spells that can be used to respond.
+ */
+
+/**
+ * Ways in which spells can be countered or ended by other spells from their chat cards.
+ * @enum {SpellInteractionConfiguration}
+ */
+DND5E.spellInteractions = {
+  counter: {
+    label: "DND5E.SpellInteraction.Counter.Label",
+    icon: "fa-solid fa-ban",
+    identifiers: new Set(["counterspell"])
+  },
+  dispel: {
+    label: "DND5E.SpellInteraction.Dispel.Label",
+    icon: "fa-solid fa-wand-magic",
+    identifiers: new Set(["dispel-magic"])
+  }
+};
+preLocalize("spellInteractions", { key: "label" });
+
+/* -------------------------------------------- */
+
 /**
  * Configuration data for spell components.
  *
@@ -2364,6 +2549,15 @@ preLocalize("spellListTypes");
 
 /* -------------------------------------------- */
 
+/**
+ * UUIDs of journal entries or pages containing class & subclass spell lists. These are searched for available spells
+ * when managing spell preparation, along with any spell lists in the world's journal.
+ * @type {string[]}
+ */
+DND5E.spellListSources = ["Compendium.dnd5e.rules.JournalEntry.QvPDSUsAiEn3hD8s"];
+
+/* -------------------------------------------- */
+
 /**
  * Spell scroll item ID within the `DND5E.sourcePacks` compendium or a full UUID for each spell level.
  * @enum {string}
@@ -2716,7 +2910,9 @@ DND5E.conditionEffects = {
   halfMovement: new Set(["exhaustion-2"]),
   crawl: new Set(["prone", "exceedingCarryingCapacity"]),
   petrification: new Set(["petrified"]),
-  halfHealth: new Set(["exhaustion-4"])
+  halfHealth: new Set(["exhaustion-4"]),
+  noVocalComponents: new Set(["silenced"]),
+  noSomaticComponents: new Set()
 };
 
 /* -------------------------------------------- */
@@ -2779,6 +2975,14 @@ DND5E.statusEffects = {
   }
 };
 
+/* -------------------------------------------- */
+
+/**
+ * Status effect applied to a creature that fails three death saving throws. Set to `null` to disable.
+ * @type {string|null}
+ */
+DND5E.deathStatus = "dead";
+
 /* -------------------------------------------- */
 /*  Languages                                   */
 /* -------------------------------------------- */
@@ -3125,6 +3329,18 @@ DND5E.characterFlags = {
     section: "DND5E.Feats",
     type: Number,
     placeholder: 0
+  },
+  autoRecharge: {
+    name: "DND5E.FlagsAutoRecharge",
+    hint: "DND5E.FlagsAutoRechargeHint",
+    section: "DND5E.Combat.Label",
+    type: String,
+    choices: {
+      "": "DND5E.FlagsAutoRechargeDefault",
+      auto: "SETTINGS.DND5E.AUTORECHARGE.Automatic",
+      prompt: "SETTINGS.DND5E.AUTORECHARGE.Prompt",
+      off: "SETTINGS.DND5E.AUTORECHARGE.Off"
+    }
   }
 };
 preLocalize("characterFlags", { keys: ["name", "hint", "section"] });
@@ -3149,6 +3365,40 @@ preLocalize("groupTypes");
 
 /* -------------------------------------------- */
 
+/**
+ * Configuration data for a method of generating starting ability scores.
+ *
+ * @typedef {object} AbilityScoreGenerationMethodConfiguration
+ * @property {string} label                    Localized label.
+ * @property {number} [budget]                 Default number of points that can be spent with point buy.
+ * @property {Record<number, number>} [costs]  Default point cost of each score with point buy.
+ * @property {number[]} [values]               Default scores that can be assigned with the standard array.
+ * @property {string} [formula]                Default formula rolled for each score.
+ */
+
+/**
+ * Methods for generating starting ability scores used by the ability score generation advancement.
+ * @enum {AbilityScoreGenerationMethodConfiguration}
+ */
+DND5E.abilityScoreGenerationMethods = {
+  pointBuy: {
+    label: "DND5E.AdvancementAbilityScoreGenerationMethod.PointBuy",
+    budget: 27,
+    costs: { 8: 0, 9: 1, 10: 2, 11: 3, 12: 4, 13: 5, 14: 7, 15: 9 }
+  },
+  standardArray: {
+    label: "DND5E.AdvancementAbilityScoreGenerationMethod.StandardArray",
+    values: [15, 14, 13, 12, 10, 8]
+  },
+  roll: {
+    label: "DND5E.AdvancementAbilityScoreGenerationMethod.Roll",
+    formula: "4d6dl"
+  }
+};
+preLocalize("abilityScoreGenerationMethods", { key: "label" });
+
+/* -------------------------------------------- */
+
 /**
  * Configuration information for advancement types.
  *
@@ -3165,6 +3415,10 @@ const _ALL_ITEM_TYPES = ["background", "class", "race", "subclass"];
  * @enum {AdvancementTypeConfiguration}
  */
 DND5E.advancementTypes = {
+  AbilityScoreGeneration: {
+    documentClass: advancement.AbilityScoreGenerationAdvancement,
+    validItemTypes: new Set(["background", "race"])
+  },
   AbilityScoreImprovement: {
     documentClass: advancement.AbilityScoreImprovementAdvancement,
     validItemTypes: new Set(["background", "class", "race"])
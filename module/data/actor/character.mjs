@@ -238,6 +238,30 @@ export default class CharacterData extends CreatureTemplate {
     AttributesFields.prepareHitPoints.call(this, this.attributes.hp, hpOptions);
   }
 
+  /* -------------------------------------------- */
+  /*  Properties                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * Class item for each character level, in the order the levels were taken. The order is recorded by the
+   * advancement manager, and any levels it hasn't recorded are assumed to have been taken after those it has,
+   * starting with the original class.
+   * @type {Item5e[]}
+   */
+  get classHistory() {
+    const remaining = Object.fromEntries(this.parent.itemTypes.class.map(c => [c.id, c.system.levels]));
+    const history = [];
+    for ( const id of this.parent.getFlag("dnd5e", "classHistory") ?? [] ) {
+      if ( !remaining[id] ) continue;
+      history.push(id);
+      remaining[id] -= 1;
+    }
+    const original = this.details.originalClass;
+    const unrecorded = Object.keys(remaining).sort((lhs, rhs) => (rhs === original) - (lhs === original));
+    for ( const id of unrecorded ) history.push(...Array(Math.max(remaining[id], 0)).fill(id));
+    return history.map(id => this.parent.items.get(id));
+  }
+
   /* -------------------------------------------- */
   /*  Helpers                                     */
   /* -------------------------------------------- */
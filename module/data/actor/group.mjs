@@ -276,9 +276,7 @@ export default class GroupActor extends ActorDataModel.mixin(CurrencyTemplate) {
     for ( const member of this.members ) {
       results.set(
         member.actor,
-        await member.actor[config.type === "short" ? "shortRest" : "longRest"]({
-          ...config, dialog: false, advanceTime: false
-        }) ?? null
+        await member.actor.rest({ ...config, dialog: false, advanceTime: false }) ?? null
       );
     }
 
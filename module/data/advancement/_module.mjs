@@ -1,6 +1,7 @@
 export {default as BaseAdvancement} from "./base-advancement.mjs";
 export {default as SpellConfigurationData} from "./spell-config.mjs";
 
+export * from "./ability-score-generation.mjs";
 export * from "./ability-score-improvement.mjs";
 export * from "./item-choice.mjs";
 export {default as ItemGrantConfigurationData} from "./item-grant.mjs";
@@ -0,0 +1,67 @@
+import { SparseDataModel } from "../abstract.mjs";
+import { FormulaField, MappingField } from "../fields.mjs";
+
+const { ArrayField, NumberField, SchemaField, SetField, StringField } = foundry.data.fields;
+
+/**
+ * Data model for the Ability Score Generation advancement configuration.
+ *
+ * @property {Set<string>} methods                   Methods the player can choose between.
+ * @property {object} pointBuy
+ * @property {number} pointBuy.budget                Number of points that can be spent with point buy.
+ * @property {Object<string, number>} pointBuy.costs  Point cost of each score that can be bought.
+ * @property {number[]} standardArray                Scores that can be assigned with the standard array.
+ * @property {string} formula                        Formula rolled for each score with the roll method.
+ */
+export class AbilityScoreGenerationConfigurationData extends foundry.abstract.DataModel {
+  /** @inheritdoc */
+  static defineSchema() {
+    const methods = CONFIG.DND5E.abilityScoreGenerationMethods;
+    return {
+      methods: new SetField(new StringField(), {
+        initial: () => Object.keys(methods), label: "DND5E.AdvancementAbilityScoreGenerationMethods"
+      }),
+      pointBuy: new SchemaField({
+        budget: new NumberField({
+          integer: true, min: 0, initial: () => methods.pointBuy?.budget ?? 27,
+          label: "DND5E.AdvancementAbilityScoreGenerationBudget"
+        }),
+        costs: new MappingField(new NumberField({nullable: false, integer: true, min: 0}), {
+          initial: () => ({ ...methods.pointBuy?.costs }), label: "DND5E.AdvancementAbilityScoreGenerationCosts"
+        })
+      }),
+      standardArray: new ArrayField(new NumberField({nullable: false, integer: true, min: 1}), {
+        initial: () => [...(methods.standardArray?.values ?? [])],
+        label: "DND5E.AdvancementAbilityScoreGenerationMethod.StandardArray"
+      }),
+      formula: new FormulaField({
+        initial: () => methods.roll?.formula ?? "4d6dl",
+        label: "DND5E.AdvancementAbilityScoreGenerationFormula"
+      })
+    };
+  }
+}
+
+/**
+ * Data model for the Ability Score Generation advancement value.
+ *
+ * @property {string} method                  Method used to generate the scores.
+ * @property {Object<string, number>} scores  Scores that were assigned to each ability.
+ * @property {number[]} rolls                 Results rolled if the roll method was used.
+ * @property {Object<string, number>} previous  Scores each ability had before they were generated.
+ */
+export class AbilityScoreGenerationValueData extends SparseDataModel {
+  /** @inheritdoc */
+  static defineSchema() {
+    return {
+      method: new StringField({required: false, initial: undefined}),
+      scores: new MappingField(new NumberField({nullable: false, integer: true}), {
+        required: false, initial: undefined
+      }),
+      rolls: new ArrayField(new NumberField({nullable: false, integer: true}), {required: false, initial: undefined}),
+      previous: new MappingField(new NumberField({nullable: false, integer: true}), {
+        required: false, initial: undefined
+      })
+    };
+  }
+}
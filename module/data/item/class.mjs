@@ -1,6 +1,7 @@
 import TraitAdvancement from "../../documents/advancement/trait.mjs";
 import { ItemDataModel } from "../abstract.mjs";
 import { AdvancementField, FormulaField, IdentifierField } from "../fields.mjs";
+import PrerequisitesField from "./fields/prerequisites-field.mjs";
 import ItemDescriptionTemplate from "./templates/item-description.mjs";
 import StartingEquipmentTemplate from "./templates/starting-equipment.mjs";
 
@@ -20,8 +21,13 @@ const { ArrayField, NumberField, SchemaField, StringField } = foundry.data.field
  * @property {string} spellcasting.progression  Spell progression granted by class as from `DND5E.spellProgression`.
  * @property {string} spellcasting.ability      Ability score to use for spellcasting.
  * @property {string} wealth            Formula used to determine starting wealth.
+ * @property {PrerequisitesData} prerequisites  Requirements a character must meet to multiclass into this class.
  */
 export default class ClassData extends ItemDataModel.mixin(ItemDescriptionTemplate, StartingEquipmentTemplate) {
+
+  /** @override */
+  static LOCALIZATION_PREFIXES = ["DND5E.Prerequisites"];
+
   /** @inheritdoc */
   static defineSchema() {
     return this.mergeSchema(super.defineSchema(), {
@@ -43,7 +49,8 @@ export default class ClassData extends ItemDataModel.mixin(ItemDescriptionTempla
         }),
         ability: new StringField({required: true, label: "DND5E.SpellAbility"})
       }, {label: "DND5E.Spellcasting"}),
-      wealth: new FormulaField({label: "DND5E.StartingEquipment.Wealth.Label"})
+      wealth: new FormulaField({label: "DND5E.StartingEquipment.Wealth.Label"}),
+      prerequisites: new PrerequisitesField()
     });
   }
 
@@ -59,6 +66,44 @@ export default class ClassData extends ItemDataModel.mixin(ItemDescriptionTempla
     return context;
   }
 
+  /* -------------------------------------------- */
+  /*  Getters                                     */
+  /* -------------------------------------------- */
+
+  /**
+   * Limits on the spells this class can have prepared or known, and how many are currently prepared or known.
+   * Known casters are limited by the "spells-known" scale value, while prepared casters can prepare a number of
+   * spells equal to their spellcasting ability modifier plus their spellcasting level for this class.
+   * @type {{cantrips: {max: number|null, value: number}, spells: {max: number, value: number, known: boolean}}|null}
+   */
+  get spellPreparation() {
+    const item = this.parent;
+    const actor = item.actor;
+    const spellcasting = item.spellcasting;
+    if ( !actor || !spellcasting?.type ) return null;
+
+    const scale = { ...item.scaleValues, ...(item.subclass?.scaleValues ?? {}) };
+    const prog = CONFIG.DND5E.spellcastingTypes.leveled.progression?.[spellcasting.progression];
+    const rounding = prog?.roundUp ? Math.ceil : Math.floor;
+    const mod = actor.system.abilities?.[spellcasting.ability]?.mod ?? 0;
+    const known = !!scale["spells-known"];
+    const spells = actor.itemTypes.spell.filter(s => {
+      return (s.system.spellcastingClass === item) && ["prepared", "pact"].includes(s.system.preparation.mode);
+    });
+
+    return {
+      cantrips: {
+        max: scale["cantrips-known"]?.value ?? null,
+        value: spells.filter(s => s.system.level === 0).length
+      },
+      spells: {
+        max: known ? scale["spells-known"].value : Math.max(mod + rounding(this.levels / (prog?.divisor ?? 1)), 1),
+        value: spells.filter(s => (s.system.level > 0) && (known || s.system.preparation.prepared)).length,
+        known
+      }
+    };
+  }
+
   /* -------------------------------------------- */
   /*  Migrations                                  */
   /* -------------------------------------------- */
@@ -5,6 +5,7 @@ import ItemDescriptionTemplate from "./templates/item-description.mjs";
 import ItemTypeTemplate from "./templates/item-type.mjs";
 import { EnchantmentData } from "./fields/enchantment-field.mjs";
 import ItemTypeField from "./fields/item-type-field.mjs";
+import PrerequisitesField from "./fields/prerequisites-field.mjs";
 
 const { BooleanField, NumberField, SchemaField, SetField, StringField } = foundry.data.fields;
 
@@ -15,8 +16,7 @@ const { BooleanField, NumberField, SchemaField, SetField, StringField } = foundr
  * @mixes ActivatedEffectTemplate
  * @mixes ActionTemplate
  *
- * @property {object} prerequisites
- * @property {number} prerequisites.level           Character or class level required to choose this feature.
+ * @property {PrerequisitesData} prerequisites     Requirements a character must meet to choose this feature.
  * @property {Set<string>} properties               General properties of a feature item.
  * @property {string} requirements                  Actor details required to use this feature.
  * @property {object} recharge                      Details on how a feature can roll for recharges.
@@ -34,9 +34,7 @@ export default class FeatData extends ItemDataModel.mixin(
   static defineSchema() {
     return this.mergeSchema(super.defineSchema(), {
       type: new ItemTypeField({baseItem: false}, {label: "DND5E.ItemFeatureType"}),
-      prerequisites: new SchemaField({
-        level: new NumberField({integer: true, min: 0})
-      }),
+      prerequisites: new PrerequisitesField(),
       properties: new SetField(new StringField(), {
         label: "DND5E.ItemFeatureProperties"
       }),
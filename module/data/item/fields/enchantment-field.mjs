@@ -1,3 +1,4 @@
+import { simplifyBonus } from "../../../utils.mjs";
 import { FormulaField, IdentifierField } from "../../fields.mjs";
 
 const { BooleanField, EmbeddedDataField, SchemaField, StringField } = foundry.data.fields;
@@ -69,6 +70,17 @@ export class EnchantmentData extends foundry.abstract.DataModel {
 
   /* -------------------------------------------- */
 
+  /**
+   * Enchantments currently bound to items by this enchantment's binding source, including those applied by other
+   * enchantments grouped under the same source.
+   * @type {ActiveEffect5e[]}
+   */
+  get boundEnchantments() {
+    return EnchantmentData.boundEnchantments(EnchantmentData.bindingSource(this.item));
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * List of item types that are enchantable.
    * @type {Set<string>}
@@ -167,6 +179,113 @@ export class EnchantmentData extends foundry.abstract.DataModel {
 
   /* -------------------------------------------- */
 
+  /**
+   * Find the item that governs how many items can be bound by an enchantment. For enchantments grouped under an
+   * enchantment source (e.g. an infusion learned through "Infuse Item") this is the source feature on the same actor,
+   * otherwise it is the enchantment itself.
+   * @param {Item5e} item  The enchantment item.
+   * @returns {Item5e}
+   */
+  static bindingSource(item) {
+    if ( !item.actor || item.system.isEnchantmentSource ) return item;
+    const subtype = item.system.type?.subtype;
+    if ( !subtype ) return item;
+    return item.actor.items.find(i => i.system.isEnchantmentSource && (i.system.type.subtype === subtype)) ?? item;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Fetch all of the enchantments bound to items through a binding source, oldest first.
+   * @param {Item5e} source  Item returned by `bindingSource`.
+   * @returns {ActiveEffect5e[]}
+   */
+  static boundEnchantments(source) {
+    let items = [source];
+    if ( source.actor && source.system.isEnchantmentSource ) items = source.actor.items.filter(i => {
+      return i.system.isEnchantment && (i.system.type?.subtype === source.system.type.subtype);
+    });
+    return items.flatMap(i => EnchantmentData.appliedEnchantments(i.uuid))
+      .sort((a, b) => (a._stats?.createdTime ?? 0) - (b._stats?.createdTime ?? 0));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Maximum number of items that can be bound through a binding source at once.
+   * @param {Item5e} source  Item returned by `bindingSource`.
+   * @returns {number}       Limit on bound items, or `Infinity` if no limit is set.
+   */
+  static bindingLimit(source) {
+    const max = source.system.enchantment?.items.max;
+    if ( !max ) return Infinity;
+    return Math.max(simplifyBonus(max, source.getRollData()), 0);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Check whether an enchantment can be bound to another item. If the binding source is locked until its next rest
+   * the binding is refused, and if the source's item limit has been reached the user is prompted to break the oldest
+   * bindings to make room for the new one. The binding is refused if the user cannot modify those bindings.
+   * @param {Item5e} item         Item providing the enchantment that will be bound.
+   * @returns {Promise<boolean>}  Whether the new binding can be made.
+   */
+  static async confirmBinding(item) {
+    const source = EnchantmentData.bindingSource(item);
+    const limit = EnchantmentData.bindingLimit(source);
+    const period = source.system.enchantment?.items.period;
+    if ( source.getFlag("dnd5e", "bindingLocked") ) {
+      ui.notifications.warn(game.i18n.format("DND5E.Enchantment.Warning.Locked", {
+        name: source.name, period: CONFIG.DND5E.enchantmentPeriods[period]?.label ?? ""
+      }));
+      return false;
+    }
+
+    const bound = EnchantmentData.boundEnchantments(source);
+    if ( bound.length < limit ) return true;
+    if ( !limit ) {
+      ui.notifications.warn(game.i18n.format("DND5E.Enchantment.Warning.Limit", { name: source.name, max: limit }));
+      return false;
+    }
+
+    const replace = bound.slice(0, bound.length - limit + 1);
+    const unowned = replace.filter(e => !e.isOwner);
+    if ( unowned.length ) {
+      ui.notifications.warn(game.i18n.format("DND5E.Enchantment.Warning.LimitUnowned", {
+        name: source.name, max: limit, items: game.i18n.getListFormatter().format(unowned.map(e => e.parent.name))
+      }));
+      return false;
+    }
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.localize("DND5E.Enchantment.Replace.Title"),
+      content: `<p>${game.i18n.format("DND5E.Enchantment.Replace.Content", {
+        name: source.name, max: limit, items: game.i18n.getListFormatter().format(replace.map(e => e.parent.name))
+      })}</p>`
+    });
+    if ( !confirmed ) return false;
+    for ( const enchantment of replace ) await enchantment.delete();
+    return true;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Lock the binding source of an enchantment from binding further items until its replacement period comes around
+   * if its item limit has been reached.
+   * @param {Item5e} item  Item providing the enchantment that was just bound.
+   * @returns {Promise<Item5e|void>}
+   */
+  static async lockBindings(item) {
+    const source = EnchantmentData.bindingSource(item);
+    const period = source.system.enchantment?.items.period;
+    if ( !source.isOwner || !["sr", "lr"].includes(period) || source.getFlag("dnd5e", "bindingLocked") ) return;
+    if ( EnchantmentData.boundEnchantments(source).length < EnchantmentData.bindingLimit(source) ) return;
+    return source.setFlag("dnd5e", "bindingLocked", true);
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Determine whether the provided item can be enchanted based on this enchantment's restrictions.
    * @param {Item5e} item  Item that might be enchanted.
@@ -0,0 +1,150 @@
+import * as Trait from "../../../documents/actor/trait.mjs";
+import { formatNumber } from "../../../utils.mjs";
+import { IdentifierField, MappingField } from "../../fields.mjs";
+
+const { BooleanField, EmbeddedDataField, NumberField, SetField, StringField } = foundry.data.fields;
+
+/**
+ * A field for storing the prerequisites a character must meet to take a feature or class.
+ */
+export default class PrerequisitesField extends EmbeddedDataField {
+  /**
+   * Construct a prerequisites field.
+   * @param {object} [options={}]  Options to configure this field's behavior.
+   */
+  constructor(options={}) {
+    super(PrerequisitesData, options);
+  }
+}
+
+/**
+ * A single requirement described by a set of prerequisites.
+ *
+ * @typedef {object} PrerequisiteRequirement
+ * @property {string} type       Type of the requirement (e.g. "level", "abilities", "proficiency").
+ * @property {string} label      Localized description of the requirement.
+ * @property {boolean} [met]     Does the actor meet this requirement? Only set if an actor was provided.
+ */
+
+/**
+ * Data model for feature & class prerequisites.
+ *
+ * @property {number} level                    Character or class level required.
+ * @property {Object<string, number>} abilities  Minimum ability scores required.
+ * @property {string} abilityMode              Whether "all" or "any" of the minimum scores must be met.
+ * @property {Set<string>} proficiencies       Trait keys for the proficiencies required (e.g. "armor:hvy").
+ * @property {Set<string>} identifiers         Class or subclass identifiers, one of which the actor must have.
+ * @property {boolean} spellcasting            Must the actor be able to cast at least one spell?
+ */
+export class PrerequisitesData extends foundry.abstract.DataModel {
+
+  /** @inheritDoc */
+  static defineSchema() {
+    return {
+      level: new NumberField({integer: true, min: 0}),
+      abilities: new MappingField(new NumberField({nullable: false, integer: true, min: 0})),
+      abilityMode: new StringField({required: true, initial: "all", choices: ["all", "any"]}),
+      proficiencies: new SetField(new StringField()),
+      identifiers: new SetField(new IdentifierField()),
+      spellcasting: new BooleanField()
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Properties                                  */
+  /* -------------------------------------------- */
+
+  /**
+   * Localized descriptions of each requirement.
+   * @type {string[]}
+   */
+  get labels() {
+    return this.getRequirements().map(r => r.label);
+  }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  /**
+   * Describe each requirement and, if an actor is provided, whether they meet it.
+   * @param {Actor5e} [actor]           Actor to check against.
+   * @param {object} [options={}]
+   * @param {number} [options.level]    Level to compare against the level requirement. Defaults to the actor's
+   *                                    character level.
+   * @returns {PrerequisiteRequirement[]}
+   */
+  getRequirements(actor, { level }={}) {
+    const requirements = [];
+    const check = (type, label, met) => requirements.push(actor ? { type, label, met } : { type, label });
+
+    if ( this.level ) check(
+      "level", game.i18n.format("DND5E.Prerequisites.Requirement.Level", { level: this.level }),
+      (level ?? actor?.system.details?.level ?? 0) >= this.level
+    );
+
+    const abilities = Object.entries(this.abilities).filter(([k, v]) => v && (k in CONFIG.DND5E.abilities));
+    if ( abilities.length ) {
+      const formatter = game.i18n.getListFormatter({ type: this.abilityMode === "any" ? "disjunction" : "conjunction" });
+      const label = formatter.format(abilities.map(([k, v]) => `${CONFIG.DND5E.abilities[k].label} ${formatNumber(v)}`));
+      const results = abilities.map(([k, v]) => (actor?.system.abilities?.[k]?.value ?? 0) >= v);
+      check("abilities", label, this.abilityMode === "any" ? results.some(r => r) : results.every(r => r));
+    }
+
+    for ( const key of this.proficiencies ) check(
+      "proficiency",
+      game.i18n.format("DND5E.Prerequisites.Requirement.Proficiency", { proficiency: Trait.keyLabel(key) }),
+      actor ? this.constructor.hasProficiency(actor, key) : undefined
+    );
+
+    if ( this.identifiers.size ) {
+      const names = Array.from(this.identifiers).map(i => {
+        return actor?.classes?.[i]?.name ?? actor?.itemTypes?.subclass.find(s => s.identifier === i)?.name
+          ?? i.replaceAll("-", " ").titleCase();
+      });
+      check(
+        "identifier", game.i18n.getListFormatter({ type: "disjunction" }).format(names),
+        Array.from(this.identifiers).some(i => (i in (actor?.classes ?? {}))
+          || actor?.itemTypes?.subclass.some(s => s.identifier === i))
+      );
+    }
+
+    if ( this.spellcasting ) check(
+      "spellcasting", game.i18n.localize("DND5E.Prerequisites.Requirement.Spellcasting"),
+      !!actor?.itemTypes?.spell.length
+        || Object.values(actor?.classes ?? {}).some(c => (c.spellcasting?.progression ?? "none") !== "none")
+    );
+
+    return requirements;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine which requirements are not met by an actor.
+   * @param {Actor5e} actor             Actor to check against.
+   * @param {object} [options={}]
+   * @param {number} [options.level]    Level to compare against the level requirement.
+   * @returns {string[]}                Localized descriptions of the unmet requirements.
+   */
+  evaluate(actor, options={}) {
+    return this.getRequirements(actor, options).filter(r => !r.met).map(r => r.label);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Does the actor have the proficiency described by a trait key?
+   * @param {Actor5e} actor  Actor to check.
+   * @param {string} key     Prefixed trait key (e.g. "armor:hvy", "skills:ath", or "tool:art:calligrapher").
+   * @returns {boolean}
+   */
+  static hasProficiency(actor, key) {
+    const [, ...parts] = key.split(":");
+    const keyPath = Trait.changeKeyPath(key);
+    if ( !keyPath ) return false;
+    const value = foundry.utils.getProperty(actor, keyPath);
+    if ( value instanceof Set ) return parts.some(p => value.has(p));
+    return (value ?? 0) >= 1;
+  }
+}
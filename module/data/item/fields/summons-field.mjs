@@ -43,6 +43,9 @@ export default class SummonsField extends EmbeddedDataField {
  * @property {string} classIdentifier       Class identifier that will be used to determine applicable level.
  * @property {Set<string>} creatureSizes    Set of creature sizes that will be set on summoned creature.
  * @property {Set<string>} creatureTypes    Set of creature types that will be set on summoned creature.
+ * @property {string} initiative            How summoned creatures are added to the summoner's combat: blank to not
+ *                                          add them, "shared" to share the summoner's initiative, or "roll" to roll
+ *                                          their own initiative.
  * @property {object} match
  * @property {boolean} match.attacks        Match the to hit values on summoned actor's attack to the summoner.
  * @property {boolean} match.proficiency    Match proficiency on summoned actor to the summoner.
@@ -81,6 +84,9 @@ export class SummonsData extends foundry.abstract.DataModel {
       creatureTypes: new SetField(new StringField(), {
         label: "DND5E.Summoning.CreatureTypes.Label", hint: "DND5E.Summoning.CreatureTypes.Hint"
       }),
+      initiative: new StringField({
+        label: "DND5E.Summoning.Initiative.Label", hint: "DND5E.Summoning.Initiative.Hint"
+      }),
       match: new SchemaField({
         attacks: new BooleanField({
           label: "DND5E.Summoning.Match.Attacks.Label", hint: "DND5E.Summoning.Match.Attacks.Hint"
@@ -178,6 +184,7 @@ export class SummonsData extends foundry.abstract.DataModel {
    * Process for summoning actor to the scene.
    * @param {string} profileId     ID of the summoning profile to use.
    * @param {object} [options={}]  Additional summoning options.
+   * @returns {Promise<TokenDocument5e[]|void>}  Tokens that were summoned.
    */
   async summon(profileId, options={}) {
     if ( !this.canSummon || !canvas.scene ) return;
@@ -256,6 +263,12 @@ export class SummonsData extends foundry.abstract.DataModel {
 
     const createdTokens = await canvas.scene.createEmbeddedDocuments("Token", tokensData);
 
+    // Summoned creatures are dismissed when the summoner stops concentrating on the item
+    const concentration = this.item.actor?.concentration.effects.find(e => e.origin === this.item.uuid);
+    if ( concentration && createdTokens.length ) await concentration.addDependent(...createdTokens);
+    if ( this.initiative && createdTokens.length ) await this.addToCombat(createdTokens);
+    this.item.actor?.sheet.render();
+
     /**
      * A hook event that fires when summoning is complete.
      * @function dnd5e.postSummon
@@ -266,6 +279,37 @@ export class SummonsData extends foundry.abstract.DataModel {
      * @param {SummoningOptions} options  Additional summoning options.
      */
     Hooks.callAll("dnd5e.postSummon", this.item, profile, createdTokens, options);
+
+    return createdTokens;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Add summoned tokens to the combat in which their summoner is participating.
+   * @param {TokenDocument5e[]} tokens  Tokens that have been summoned.
+   * @returns {Promise<Combatant5e[]>}  Combatants that were created.
+   */
+  async addToCombat(tokens) {
+    const combat = game.combat;
+    const actor = this.item.actor;
+    if ( !combat || !actor ) return [];
+    // TODO: Remove when v11 support is dropped.
+    const summoner = game.release.generation < 12 ? combat.getCombatantByActor(actor)
+      : combat.getCombatantsByActor(actor)[0];
+    if ( !summoner ) return [];
+
+    const shared = this.initiative === "shared";
+    const combatants = await combat.createEmbeddedDocuments("Combatant", tokens.map(token => ({
+      tokenId: token.id,
+      sceneId: token.parent.id,
+      actorId: token.actorId,
+      hidden: token.hidden,
+      initiative: shared ? summoner.initiative : null,
+      "flags.dnd5e.summon": { summoner: summoner.id, sharedInitiative: shared }
+    })));
+    if ( !shared && combatants.length ) await combat.rollInitiative(combatants.map(c => c.id));
+    return combatants;
   }
 
   /* -------------------------------------------- */
@@ -337,6 +381,11 @@ export class SummonsData extends foundry.abstract.DataModel {
       profile: profile._id
     };
 
+    // Summoned creatures last for the duration of the summoning item
+    const duration = ActiveEffect.implementation.getEffectDurationFromItem(this.item);
+    const seconds = duration.seconds ?? ((duration.rounds ?? duration.turns ?? 0) * CONFIG.time.roundTime);
+    if ( seconds ) foundry.utils.setProperty(tokenUpdates, "flags.dnd5e.summon.expiry", game.time.worldTime + seconds);
+
     // Match proficiency
     if ( this.match.proficiency ) {
       const proficiencyEffect = new ActiveEffect({
@@ -642,4 +691,21 @@ export class SummonsData extends foundry.abstract.DataModel {
   static untrackSummon(summoner, summoned) {
     SummonsData.#summonedCreatures.get(summoner)?.delete(summoned);
   }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Dismiss any summoned creatures whose duration has lapsed. Only performed by the active GM.
+   * @param {number} worldTime  The new world time.
+   */
+  static onUpdateWorldTime(worldTime) {
+    if ( game.user !== game.users.activeGM ) return;
+    for ( const scene of game.scenes ) {
+      const expired = scene.tokens.filter(t => {
+        const expiry = t.getFlag("dnd5e", "summon.expiry");
+        return Number.isFinite(expiry) && (expiry <= worldTime);
+      });
+      if ( expired.length ) scene.deleteEmbeddedDocuments("Token", expired.map(t => t.id));
+    }
+  }
 }
@@ -1,6 +1,6 @@
 import { filteredKeys } from "../../utils.mjs";
 import { ItemDataModel } from "../abstract.mjs";
-import { FormulaField } from "../fields.mjs";
+import { FormulaField, IdentifierField } from "../fields.mjs";
 import ActionTemplate from "./templates/action.mjs";
 import ActivatedEffectTemplate from "./templates/activated-effect.mjs";
 import ItemDescriptionTemplate from "./templates/item-description.mjs";
@@ -19,6 +19,7 @@ import ItemDescriptionTemplate from "./templates/item-description.mjs";
  * @property {boolean} materials.consumed        Are these material components consumed during casting?
  * @property {number} materials.cost             GP cost for the required components.
  * @property {number} materials.supply           Quantity of this component available.
+ * @property {string} materials.identifier       Identifier of the inventory item that provides these components.
  * @property {object} preparation                Details on how this spell is prepared.
  * @property {string} preparation.mode           Spell preparation mode as defined in `DND5E.spellPreparationModes`.
  * @property {boolean} preparation.prepared      Is the spell currently prepared?
@@ -48,7 +49,8 @@ export default class SpellData extends ItemDataModel.mixin(
         }),
         supply: new foundry.data.fields.NumberField({
           required: true, initial: 0, min: 0, label: "DND5E.SpellMaterialsSupply"
-        })
+        }),
+        identifier: new IdentifierField({label: "DND5E.SpellMaterialsItem"})
       }, {label: "DND5E.SpellMaterials"}),
       preparation: new foundry.data.fields.SchemaField({
         mode: new foundry.data.fields.StringField({
@@ -155,9 +157,62 @@ export default class SpellData extends ItemDataModel.mixin(
 
   /* -------------------------------------------- */
 
+  /**
+   * Components of this spell that the owning actor is prevented from providing by their conditions.
+   * @type {Set<string>}
+   */
+  get blockedComponents() {
+    const blocked = new Set();
+    const actor = this.parent?.actor;
+    if ( !actor ) return blocked;
+    if ( this.properties.has("vocal") && actor.hasConditionEffect("noVocalComponents") ) blocked.add("vocal");
+    if ( this.properties.has("somatic") && actor.hasConditionEffect("noSomaticComponents") ) blocked.add("somatic");
+    return blocked;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Does this spell require material components with a specific cost?
+   * @type {boolean}
+   */
+  get hasCostlyMaterials() {
+    return this.properties.has("material") && (this.materials.cost > 0);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Activation data for casting this spell as a ritual, which takes 10 minutes longer than its normal casting time.
+   * @type {object}
+   */
+  get ritualActivation() {
+    const { type, cost, condition } = this.activation;
+    const minutes = { minute: cost ?? 1, hour: (cost ?? 1) * 60 }[type] ?? 0;
+    return { type: "minute", cost: minutes + 10, condition };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * The class on the owning actor through which this spell is cast, determined by its source class. If no source
+   * class is set, the actor's only spellcasting class is used.
+   * @type {Item5e|null}
+   */
+  get spellcastingClass() {
+    const classes = this.parent?.actor?.spellcastingClasses;
+    if ( !classes ) return null;
+    if ( this.sourceClass ) return classes[this.sourceClass] ?? null;
+    const values = Object.values(classes);
+    return values.length === 1 ? values[0] : null;
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritdoc */
   get _typeAbilityMod() {
-    return this.parent?.actor?.system.attributes.spellcasting || "int";
+    return this.spellcastingClass?.spellcasting?.ability
+      || this.parent?.actor?.system.attributes.spellcasting || "int";
   }
 
   /* -------------------------------------------- */
@@ -167,6 +222,46 @@ export default class SpellData extends ItemDataModel.mixin(
     return this.parent?.actor?.flags.dnd5e?.spellCriticalThreshold ?? Infinity;
   }
 
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  /**
+   * Description of how the owning actor can provide this spell's costly material components.
+   *
+   * @typedef {object} SpellMaterialSource
+   * @property {string} type                   Source of the components: "supply" for the spell's own supply, "item"
+   *                                           for a matching item in the actor's inventory, or "currency".
+   * @property {Item5e} [item]                 Inventory item that provides the components.
+   * @property {Record<string, number>} [currency]  Currency the actor would have remaining after paying the cost.
+   */
+
+  /**
+   * Find how the owning actor can provide this spell's costly material components. The spell's own supply is used
+   * first, followed by an item in the actor's inventory whose identifier matches the one configured for the
+   * components and that is worth at least their cost, and finally the actor's currency.
+   * @returns {SpellMaterialSource|null}  Source of the components, or `null` if they cannot be provided.
+   */
+  findMaterialSource() {
+    const actor = this.parent?.actor;
+    if ( !actor ) return null;
+    const { cost, supply, identifier } = this.materials;
+    if ( supply > 0 ) return { type: "supply" };
+
+    const item = identifier ? actor.items.find(i => {
+      const { price, quantity } = i.system;
+      if ( (i === this.parent) || !price || !(quantity > 0) || (i.identifier !== identifier) ) return false;
+      const conversion = CONFIG.DND5E.currencies[price.denomination]?.conversion || 1;
+      return (price.value / conversion) >= cost;
+    }) : null;
+    if ( item ) return { type: "item", item };
+
+    const currency = actor.system.currency ? dnd5e.applications.CurrencyManager.calculateDeduction(
+      actor.system.currency, cost
+    ) : null;
+    return currency ? { type: "currency", currency } : null;
+  }
+
   /* -------------------------------------------- */
 
   /**
@@ -1,3 +1,4 @@
+import * as Trait from "../../../documents/actor/trait.mjs";
 import { formatNumber } from "../../../utils.mjs";
 import SystemDataModel from "../../abstract.mjs";
 
@@ -213,4 +214,62 @@ export class EquipmentEntryData extends foundry.abstract.DataModel {
       return obj;
     }, {});
   }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  /**
+   * Item that can be granted by an equipment entry.
+   *
+   * @typedef {object} EquipmentEntryItem
+   * @property {string} uuid             UUID of the item.
+   * @property {string} name             Name of the item.
+   * @property {string} img              Image of the item.
+   * @property {string} [baseItem]       Base item identifier if resolved from a category.
+   * @property {string} [category]       Item's type within the category (e.g. `martialM` for weapons).
+   */
+
+  /**
+   * Resolve the items that could be granted by this entry. Linked entries will return their single item while category
+   * entries will return every base item that matches the category.
+   * @returns {Promise<EquipmentEntryItem[]>}
+   */
+  async getItemOptions() {
+    if ( this.type === "linked" ) {
+      const index = fromUuidSync(this.key) ?? await fromUuid(this.key);
+      return index ? [{ uuid: this.key, name: index.name, img: index.img }] : [];
+    }
+
+    let ids;
+    if ( this.type === "focus" ) {
+      const types = this.key ? [CONFIG.DND5E.focusTypes[this.key]] : Object.values(CONFIG.DND5E.focusTypes);
+      ids = Object.assign({}, ...types.map(t => t?.itemIds ?? {}));
+    } else {
+      const keys = CONFIG.DND5E.traits[this.type]?.subtypes?.ids ?? [];
+      ids = Object.assign({}, ...keys.map(k => CONFIG.DND5E[k] ?? {}));
+    }
+
+    const options = await Promise.all(Object.entries(ids).map(async ([baseItem, id]) => {
+      const index = await Trait.getBaseItem(id);
+      if ( !index ) return null;
+      const category = index.system?.type?.value;
+      if ( (this.type !== "focus") && !this.matchesCategory(category) ) return null;
+      return { uuid: Trait.getBaseItemUUID(id), name: index.name, img: index.img, baseItem, category };
+    }));
+    return options.filter(o => o).sort((lhs, rhs) => lhs.name.localeCompare(rhs.name, game.i18n.lang));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Does the provided item type fall within this entry's category?
+   * @param {string} category  Type of the item within its category (e.g. `light` for armor, `simpleM` for weapons).
+   * @returns {boolean}
+   */
+  matchesCategory(category) {
+    if ( !this.key ) return true;
+    if ( (this.type === "weapon") && (CONFIG.DND5E.weaponProficienciesMap[category] === this.key) ) return true;
+    return category === this.key;
+  }
 }
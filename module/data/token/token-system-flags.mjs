@@ -20,8 +20,13 @@ const {
  * A custom model to validate system flags on Token Documents.
  *
  * @property {boolean} isPolymorphed        Is the actor represented by this token transformed?
+ * @property {object} [mount]
+ * @property {string} [mount.id]            ID of the token on which this token's creature is mounted.
+ * @property {boolean} [mount.controlled]   Is the mount controlled by this rider, acting on the rider's initiative?
  * @property {string} originalActor         Original actor before transformation.
  * @property {object} previousActorData     Actor data from before transformation for unlinked tokens.
+ * @property {object} [summon]
+ * @property {number} [summon.expiry]       World time at which this summoned creature is dismissed.
  * @property {TokenRingFlagData} tokenRing
  */
 export default class TokenSystemFlags extends foundry.abstract.DataModel {
@@ -29,10 +34,17 @@ export default class TokenSystemFlags extends foundry.abstract.DataModel {
   static defineSchema() {
     return {
       isPolymorphed: new BooleanField({required: false, initial: undefined}),
+      mount: new SchemaField({
+        id: new ForeignDocumentField(foundry.documents.BaseToken, { idOnly: true }),
+        controlled: new BooleanField({ initial: true })
+      }, {required: false, initial: undefined}),
       originalActor: new ForeignDocumentField(foundry.documents.BaseActor, {
         required: false, initial: undefined, idOnly: true
       }),
       previousActorData: new ObjectField({required: false, initial: undefined}),
+      summon: new SchemaField({
+        expiry: new NumberField({ min: 0 })
+      }, {required: false, initial: undefined}),
       tokenRing: new SchemaField({
         enabled: new BooleanField({label: "DND5E.TokenRings.Enabled"}),
         colors: new SchemaField({
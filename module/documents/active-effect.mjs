@@ -1,6 +1,7 @@
 import { FormulaField } from "../data/fields.mjs";
 import { EnchantmentData } from "../data/item/fields/enchantment-field.mjs";
-import { staticID } from "../utils.mjs";
+import { createRollLabel } from "../enrichers.mjs";
+import { simplifyBonus, staticID } from "../utils.mjs";
 
 /**
  * Extend the base ActiveEffect class to implement system-specific logic.
@@ -46,6 +47,32 @@ export default class ActiveEffect5e extends ActiveEffect {
 
   /* -------------------------------------------- */
 
+  /**
+   * Configuration for ongoing damage and saving throws to end an effect.
+   *
+   * @typedef {object} OngoingEffectConfiguration
+   * @property {"turnStart"|"turnEnd"} timing  When during the affected creature's turn the effect is triggered.
+   * @property {object} damage
+   * @property {string} damage.formula         Formula for damage rolled each time the effect is triggered.
+   * @property {string} damage.type            Type of damage dealt.
+   * @property {object} save
+   * @property {string} save.ability           Ability used for the saving throw that ends the effect.
+   * @property {string} save.dc                DC of the saving throw, either a number or a formula resolved against
+   *                                           the effect's source.
+   */
+
+  /**
+   * Ongoing damage and saving throw configuration for this effect, if any is set.
+   * @type {OngoingEffectConfiguration|null}
+   */
+  get ongoing() {
+    const ongoing = this.getFlag("dnd5e", "ongoing");
+    if ( !ongoing?.timing || (!ongoing.damage?.formula && !ongoing.save?.ability) ) return null;
+    return ongoing;
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Is this active effect currently suppressed?
    * @type {boolean}
@@ -313,6 +340,133 @@ export default class ActiveEffect5e extends ActiveEffect {
 
   /* -------------------------------------------- */
 
+  /**
+   * Determine whether this effect's combat expiration is triggered by a combatant's turn starting or ending.
+   * @param {"turnStart"|"turnEnd"} event  The turn event that is occurring.
+   * @param {Combatant5e} combatant        Combatant whose turn is starting or ending.
+   * @param {object} turn
+   * @param {number} turn.round            Round in which the event is occurring.
+   * @param {number} turn.turn             Turn index of the combatant within the round.
+   * @returns {boolean}
+   */
+  isExpiringOn(event, combatant, { round, turn }) {
+    const expiration = this.getFlag("dnd5e", "expiration");
+    if ( !expiration?.event || (expiration.event !== event) || this.isSuppressed ) return false;
+
+    // Ensure the event is for the relevant creature
+    let actor = this.target;
+    if ( expiration.combatant === "origin" ) {
+      const origin = this.origin ? fromUuidSync(this.origin) : null;
+      actor = origin instanceof dnd5e.documents.Item5e ? origin.actor : origin;
+    }
+    if ( !actor || (actor.uuid !== combatant.actor?.uuid) ) return false;
+
+    // Effects never expire during the turn in which they were applied
+    const { combat, startRound, startTurn, rounds } = this.duration;
+    if ( combat && (combat !== combatant.parent.id) ) return false;
+    if ( (startRound === round) && (startTurn === turn) ) return false;
+    return round >= ((startRound ?? 0) + (rounds ?? 0));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Roll this effect's ongoing damage, apply it to the affected actor, and request a saving throw to end the effect.
+   * @returns {Promise<{roll: DamageRoll|null, message: ChatMessage5e|null}|void>}
+   */
+  async triggerOngoing() {
+    const ongoing = this.ongoing;
+    const actor = this.target;
+    if ( !ongoing || !(actor instanceof Actor) || !this.active ) return;
+    const source = await this.getSource();
+    const rollData = source?.getRollData?.() ?? actor.getRollData();
+    const config = {
+      damage: { formula: ongoing.damage?.formula ?? "", type: ongoing.damage?.type ?? "" },
+      save: { ability: ongoing.save?.ability ?? "", dc: simplifyBonus(ongoing.save?.dc, rollData) }
+    };
+
+    /**
+     * A hook event that fires before an effect's ongoing damage is rolled and its saving throw requested.
+     * @function dnd5e.preTriggerOngoingEffect
+     * @memberof hookEvents
+     * @param {ActiveEffect5e} effect  The effect being triggered.
+     * @param {object} config          Damage formula & type, and save ability & DC that will be used.
+     * @returns {boolean}              Explicitly return `false` to prevent the effect from being triggered.
+     */
+    if ( Hooks.call("dnd5e.preTriggerOngoingEffect", this, config) === false ) return;
+
+    let roll = null;
+    if ( config.damage.formula ) {
+      roll = new CONFIG.Dice.DamageRoll(config.damage.formula, rollData, { type: config.damage.type });
+      await roll.evaluate();
+      await roll.toMessage({
+        flavor: game.i18n.format("DND5E.OngoingEffect.DamageFlavor", { effect: this.name }),
+        speaker: ChatMessage.implementation.getSpeaker({ actor }),
+        "flags.dnd5e.roll": { type: "damage" }
+      });
+      await actor.applyDamage([{ value: roll.total, type: config.damage.type, properties: new Set() }]);
+    }
+
+    let message = null;
+    if ( config.save.ability in CONFIG.DND5E.abilities ) message = await this.requestOngoingSave(config.save);
+
+    /**
+     * A hook event that fires after an effect's ongoing damage has been applied and its saving throw requested.
+     * @function dnd5e.triggerOngoingEffect
+     * @memberof hookEvents
+     * @param {ActiveEffect5e} effect         The effect that was triggered.
+     * @param {DamageRoll|null} roll          The damage roll, if any damage was dealt.
+     * @param {ChatMessage5e|null} message    The saving throw request message, if a save was requested.
+     */
+    Hooks.callAll("dnd5e.triggerOngoingEffect", this, roll, message);
+
+    return { roll, message };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Create a chat message requesting the affected actor make a saving throw to end this effect.
+   * @param {object} save
+   * @param {string} save.ability       Ability used for the saving throw.
+   * @param {number} save.dc            DC of the saving throw.
+   * @returns {Promise<ChatMessage5e>}
+   */
+  async requestOngoingSave({ ability, dc }) {
+    const actor = this.target;
+    const dataset = { action: "rollRequest", type: "save", ability, effect: this.uuid };
+    if ( dc ) dataset.dc = dc;
+    const config = { ...dataset, format: "short", icon: true };
+    return ChatMessage.implementation.create({
+      content: await renderTemplate("systems/dnd5e/templates/chat/request-card.hbs", {
+        dataset,
+        buttonLabel: createRollLabel(config),
+        hiddenLabel: createRollLabel({ ...config, hideDC: true })
+      }),
+      flavor: game.i18n.format("DND5E.OngoingEffect.SaveFlavor", { effect: this.name }),
+      whisper: game.users.filter(user => actor.testUserPermission(user, "OWNER")),
+      speaker: ChatMessage.implementation.getSpeaker({ actor })
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * End this effect if the provided saving throw made against it was successful.
+   * @param {Actor5e} actor               Actor that made the saving throw.
+   * @param {D20Roll} roll                The saving throw roll.
+   * @returns {Promise<ActiveEffect5e|void>}  The deleted effect, if the save succeeded.
+   */
+  async resolveOngoingSave(actor, roll) {
+    if ( !roll || !this.ongoing || (actor?.uuid !== this.target?.uuid) ) return;
+    const target = Number(roll.options.targetValue);
+    if ( !Number.isFinite(target) || (roll.total < target) ) return;
+    ui.notifications.info(game.i18n.format("DND5E.OngoingEffect.Ended", { effect: this.name, name: actor.name }));
+    return this.delete();
+  }
+
+  /* -------------------------------------------- */
+
   /** @override */
   getRelativeUUID(doc) {
     // TODO: Backport relative UUID fixes to accommodate descendant documents. Can be removed once v12 is the minimum.
@@ -469,7 +623,11 @@ export default class ActiveEffect5e extends ActiveEffect {
     super._onCreate(data, options, userId);
     if ( userId === game.userId ) {
       if ( this.active && (this.parent instanceof Actor) ) await this.createRiderConditions();
-      if ( this.isAppliedEnchantment ) await this.createRiderEnchantments();
+      if ( this.isAppliedEnchantment ) {
+        await this.createRiderEnchantments();
+        const origin = await fromUuid(this.origin);
+        if ( origin?.system.isEnchantment ) await EnchantmentData.lockBindings(origin);
+      }
     }
     if ( options.chatMessageOrigin ) {
       document.body.querySelectorAll(`[data-message-id="${options.chatMessageOrigin}"] enchantment-application`)
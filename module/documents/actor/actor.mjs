@@ -2,10 +2,12 @@ import Proficiency from "./proficiency.mjs";
 import * as Trait from "./trait.mjs";
 import SystemDocumentMixin from "../mixins/document.mjs";
 import { d20Roll } from "../../dice/dice.mjs";
-import { replaceFormulaData, simplifyBonus } from "../../utils.mjs";
+import { formatNumber, replaceFormulaData, simplifyBonus } from "../../utils.mjs";
 import ShortRestDialog from "../../applications/actor/short-rest.mjs";
 import LongRestDialog from "../../applications/actor/long-rest.mjs";
+import RestDialog from "../../applications/actor/rest.mjs";
 import PropertyAttribution from "../../applications/property-attribution.mjs";
+import CurrencyManager from "../../applications/currency-manager.mjs";
 import { SummonsData } from "../../data/item/fields/summons-field.mjs";
 import ActiveEffect5e from "../active-effect.mjs";
 import Item5e from "../item.mjs";
@@ -128,6 +130,26 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     return SummonsData.summonedCreatures(this);
   }
 
+  /* -------------------------------------------- */
+
+  /**
+   * The timed rest this actor is currently taking, if any.
+   * @type {RestProgressData|null}
+   */
+  get restInProgress() {
+    return this.getFlag("dnd5e", "restInProgress") ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Items this actor is currently crafting during downtime, keyed by project ID.
+   * @type {Record<string, CraftingProjectData>}
+   */
+  get craftingProjects() {
+    return this.getFlag("dnd5e", "crafting") ?? {};
+  }
+
   /* -------------------------------------------- */
   /*  Methods                                     */
   /* -------------------------------------------- */
@@ -902,6 +924,8 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
    * @property {boolean|Set<string>} [ignore.vulnerability]  Should this actor's damage vulnerability be ignored?
    * @property {boolean|Set<string>} [ignore.modification]   Should this actor's damage modification be ignored?
    * @property {boolean} [invertHealing=true]  Automatically invert healing types to it heals, rather than damages.
+   * @property {boolean} [isCritical]          Was this damage dealt by a critical hit? Damage taken at 0 HP from
+   *                                           a critical hit counts as two failed death saves rather than one.
    * @property {"damage"|"healing"} [only]     Apply only damage or healing parts. Untyped rolls will always be applied.
    */
 
@@ -940,6 +964,13 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
 
     if ( temp > updates["system.attributes.hp.temp"] ) updates["system.attributes.hp.temp"] = temp;
 
+    // Damage taken while at 0 HP counts as a failed death save, or two on a critical hit
+    const death = this.system.attributes.death;
+    if ( death && (hp.value <= 0) && (amount - deltaTemp > 0) && (death.failure < 3) ) {
+      const failures = death.failure + (options.isCritical ? 2 : 1);
+      updates["system.attributes.death.failure"] = Math.min(failures, 3);
+    }
+
     /**
      * A hook event that fires before damage is applied to an actor.
      * @param {Actor5e} actor                     Actor the damage will be applied to.
@@ -1240,6 +1271,49 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Add or remove a single-status effect for the provided status on this actor.
+   * @param {string} statusId                The status effect ID from `CONFIG.statusEffects`.
+   * @param {boolean} active                 Should the status be applied or removed?
+   * @param {object} [options]
+   * @param {boolean} [options.overlay]      Display the applied status as a token overlay.
+   * @returns {Promise<ActiveEffect5e|ActiveEffect5e[]|void>}
+   */
+  async setStatusEffect(statusId, active, { overlay=false }={}) {
+    if ( !CONFIG.statusEffects.find(e => e.id === statusId) ) return;
+    if ( game.release.generation > 11 ) return this.toggleStatusEffect(statusId, { active, overlay });
+    // TODO: Remove the fallback below once V11 support is dropped.
+    const existing = this.effects.filter(e => (e.statuses.size === 1) && e.statuses.has(statusId));
+    if ( !active ) return existing.length ? this.deleteEmbeddedDocuments("ActiveEffect", existing.map(e => e.id)) : undefined;
+    if ( existing.length ) return;
+    const effect = await ActiveEffect.implementation.fromStatusEffect(statusId, { parent: this });
+    if ( overlay ) effect.updateSource({ "flags.core.overlay": true });
+    return ActiveEffect.implementation.create(effect, { parent: this, keepId: true });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Remove the tokens of creatures summoned by this actor from their scenes. Requires permission to delete tokens.
+   * @returns {Promise<TokenDocument5e[]>}  Tokens that were removed.
+   */
+  async dismissSummons() {
+    if ( !game.user.can("TOKEN_DELETE") ) return [];
+    const tokens = new Map();
+    for ( const actor of this.summonedCreatures ) {
+      const token = actor?.token ?? actor?.getActiveTokens(false, true)[0];
+      if ( !token?.parent ) continue;
+      if ( !tokens.has(token.parent) ) tokens.set(token.parent, []);
+      tokens.get(token.parent).push(token.id);
+    }
+    const deleted = await Promise.all(Array.from(tokens.entries()).map(([scene, ids]) => {
+      return scene.deleteEmbeddedDocuments("Token", ids);
+    }));
+    return deleted.flat();
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Determine whether the provided ability is usable for remarkable athlete.
    * @param {string} ability  Ability type to check.
@@ -1687,6 +1761,8 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     // Take action depending on the result
     const details = {};
 
+    let stable = false;
+
     // Save success
     if ( roll.total >= (roll.options.targetValue ?? 10) ) {
       let successes = (death.success || 0) + 1;
@@ -1708,6 +1784,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
           "system.attributes.death.failure": 0
         };
         details.chatString = "DND5E.DeathSaveSuccess";
+        stable = true;
       }
 
       // Increment successes
@@ -1739,6 +1816,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     if ( Hooks.call("dnd5e.rollDeathSave", this, roll, details) === false ) return roll;
 
     if ( !foundry.utils.isEmpty(details.updates) ) await this.update(details.updates);
+    if ( stable ) await this.setStatusEffect("stable", true);
 
     // Display success/failure chat message
     if ( details.chatString ) {
@@ -2173,6 +2251,9 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
    * @property {boolean} [autoHD]          Should hit dice be spent automatically during a short rest?
    * @property {number} [autoHDThreshold]  How many hit points should be missing before hit dice are
    *                                       automatically spent during a short rest.
+   * @property {boolean} [timed]           Should recovery be deferred until the rest's duration has passed on the
+   *                                       game clock? Defaults to the "timedRests" setting if time isn't advanced.
+   * @property {boolean} [deferred]        Is this the completion of a timed rest that has already been started?
    */
 
   /**
@@ -2183,13 +2264,90 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
    * @property {number} dhd            Hit dice recovered or spent during the rest.
    * @property {object} updateData     Updates applied to the actor.
    * @property {object[]} updateItems  Updates applied to actor's items.
+   * @property {string} type          Type of rest performed.
    * @property {boolean} longRest      Whether the rest type was a long rest.
    * @property {boolean} newDay        Whether a new day occurred during the rest.
    * @property {Roll[]} rolls          Any rolls that occurred during the rest process, not including hit dice.
+   * @property {number} [interruptions]  Number of times a timed rest was interrupted before it was completed.
+   * @property {Record<string, number>} [hitDiceSpent]  Hit dice spent from each class when the rest was started.
+   */
+
+  /**
+   * State of a timed rest that has been started but not yet completed.
+   *
+   * @typedef {object} RestProgressData
+   * @property {RestConfiguration} config  Configuration of the rest being taken.
+   * @property {RestResult} result         Results gathered when the rest was started, such as hit dice spent.
+   * @property {number} start              World time at which the rest was started, in seconds.
+   * @property {number} end                World time at which the rest will be completed, in seconds.
+   * @property {boolean} interrupted       Is the rest interrupted and waiting to be resumed or aborted?
+   * @property {number|null} remaining     Seconds that were left on the rest when it was interrupted.
+   * @property {number} interruptions      Number of times the rest has been interrupted.
    */
 
   /* -------------------------------------------- */
 
+  /**
+   * Take a rest of any type defined in `CONFIG.DND5E.restTypes`. Short and long rests are delegated to
+   * `Actor5e#shortRest` and `Actor5e#longRest`.
+   * @param {RestConfiguration} [config]  Configuration options for the rest, including its type.
+   * @returns {Promise<RestResult>}       A Promise which resolves once the rest workflow has completed.
+   */
+  async rest(config={}) {
+    if ( config.type === "short" ) return this.shortRest(config);
+    if ( config.type === "long" ) return this.longRest(config);
+    const restConfig = CONFIG.DND5E.restTypes[config.type];
+    if ( (this.type === "vehicle") || !restConfig ) return;
+
+    config = foundry.utils.mergeObject({
+      dialog: true, chat: true, newDay: restConfig.newDay ?? false, advanceTime: false, autoHD: false,
+      autoHDThreshold: 3, duration: restConfig.duration?.[game.settings.get("dnd5e", "restVariant")] ?? 0
+    }, config);
+
+    /**
+     * A hook event that fires before a rest of a type other than short or long is started.
+     * @function dnd5e.preRest
+     * @memberof hookEvents
+     * @param {Actor5e} actor             The actor that is being rested.
+     * @param {RestConfiguration} config  Configuration options for the rest.
+     * @returns {boolean}                 Explicitly return `false` to prevent the rest from being started.
+     */
+    if ( Hooks.call("dnd5e.preRest", this, config) === false ) return;
+
+    // Take note of the initial hit points and number of hit dice the Actor has
+    const hd0 = foundry.utils.getProperty(this, "system.attributes.hd.value");
+    const hp0 = foundry.utils.getProperty(this, "system.attributes.hp.value");
+    const used0 = this._getHitDiceUsed();
+
+    if ( config.dialog ) {
+      try {
+        foundry.utils.mergeObject(config, await RestDialog.restDialog({ actor: this, type: config.type }));
+      } catch(err) { return; }
+    }
+
+    /**
+     * A hook event that fires after a rest of a type other than short or long has started, after the configuration
+     * is complete.
+     * @function dnd5e.rest
+     * @memberof hookEvents
+     * @param {Actor5e} actor             The actor that is being rested.
+     * @param {RestConfiguration} config  Configuration options for the rest.
+     * @returns {boolean}                 Explicitly return `false` to prevent the rest from being continued.
+     */
+    if ( Hooks.call("dnd5e.rest", this, config) === false ) return;
+
+    // Automatically spend hit dice
+    if ( restConfig.spendHitDice && !config.dialog && config.autoHD ) {
+      await this.autoSpendHitDice({ threshold: config.autoHDThreshold });
+    }
+
+    const dhd = (foundry.utils.getProperty(this, "system.attributes.hd.value") ?? 0) - (hd0 ?? 0);
+    const dhp = (foundry.utils.getProperty(this, "system.attributes.hp.value") ?? 0) - (hp0 ?? 0);
+    return this._rest(config, { dhd, dhp, hitDiceSpent: this._getHitDiceUsed(used0) });
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Take a short rest, possibly spending hit dice and recovering resources, item uses, and relevant spell slots.
    * @param {RestConfiguration} [config]  Configuration options for a short rest.
@@ -2216,6 +2374,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     // Take note of the initial hit points and number of hit dice the Actor has
     const hd0 = foundry.utils.getProperty(this, "system.attributes.hd.value");
     const hp0 = foundry.utils.getProperty(this, "system.attributes.hp.value");
+    const used0 = this._getHitDiceUsed();
 
     // Display a Dialog for rolling hit dice
     if ( config.dialog ) {
@@ -2240,7 +2399,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     // Return the rest result
     const dhd = foundry.utils.getProperty(this, "system.attributes.hd.value") - hd0;
     const dhp = foundry.utils.getProperty(this, "system.attributes.hp.value") - hp0;
-    return this._rest(config, { dhd, dhp });
+    return this._rest(config, { dhd, dhp, hitDiceSpent: this._getHitDiceUsed(used0) });
   }
 
   /* -------------------------------------------- */
@@ -2290,12 +2449,13 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
   /* -------------------------------------------- */
 
   /**
-   * Perform all of the changes needed for a short or long rest.
+   * Perform all of the changes needed for a rest, based on the rest type's configuration.
    *
    * @param {RestConfiguration} config  Configuration data for the rest occurring.
    * @param {RestResult} [result={}]    Results of the rest operation being built.
    * @param {*[]} [args]
-   * @returns {Promise<RestResult>}  Consolidated results of the rest workflow.
+   * @returns {Promise<RestResult|void>}  Consolidated results of the rest workflow, or nothing if the rest is timed
+   *                                      and recovery has been deferred until it is completed.
    * @private
    */
   async _rest(config, result={}, ...args) {
@@ -2310,21 +2470,30 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
       result = { dhd, dhp };
     }
 
-    if ( (foundry.utils.getType(this.system.rest) === "function")
+    if ( !config.deferred && (foundry.utils.getType(this.system.rest) === "function")
       && (await this.system.rest(config, result) === false) ) return;
 
+    // Defer recovery until the rest has lasted its full duration
+    const timed = config.timed ?? (game.settings.get("dnd5e", "timedRests") && !config.advanceTime);
+    if ( timed && (config.duration > 0) ) return this.startTimedRest(config, result);
+
     let hitPointsRecovered = 0;
     let hpActorUpdates = {};
     let hitDiceRecovered = 0;
     let hdActorUpdates = {};
     let hdItemUpdates = [];
     const rolls = [];
+    const restConfig = CONFIG.DND5E.restTypes[config.type] ?? {};
     const longRest = config.type === "long";
     const newDay = config.newDay === true;
+    const periods = new Set(restConfig.recoverPeriods ?? []);
+    const resources = new Set(restConfig.recoverResources ?? []);
 
-    // Recover hit points & hit dice on long rest
-    if ( longRest ) {
+    // Recover hit points & hit dice
+    if ( restConfig.recoverHitPoints ) {
       ({ updates: hpActorUpdates, hitPointsRecovered } = this._getRestHitPointRecovery());
+    }
+    if ( restConfig.recoverHitDice ) {
       ({ updates: hdItemUpdates, actorUpdates: hdActorUpdates, hitDiceRecovered } = this._getRestHitDiceRecovery());
     }
 
@@ -2335,13 +2504,23 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
       updateData: {
         ...(hdActorUpdates ?? {}),
         ...hpActorUpdates,
-        ...this._getRestResourceRecovery({ recoverShortRestResources: !longRest, recoverLongRestResources: longRest }),
-        ...this._getRestSpellRecovery({ recoverLong: longRest })
+        ...this._getRestResourceRecovery({
+          recoverShortRestResources: resources.has("sr"), recoverLongRestResources: resources.has("lr")
+        }),
+        ...(restConfig.recoverSpellSlots ? this._getRestSpellRecovery({
+          recoverLong: restConfig.recoverSpellSlots === "all"
+        }) : {}),
+        ...this._getRestExhaustionRecovery({ levels: restConfig.exhaustion })
       },
       updateItems: [
         ...(hdItemUpdates ?? []),
-        ...(await this._getRestItemUsesRecovery({ recoverLongRestUses: longRest, recoverDailyUses: newDay, rolls }))
+        ...(await this._getRestItemUsesRecovery({
+          recoverShortRestUses: periods.has("sr"), recoverLongRestUses: periods.has("lr"),
+          recoverDailyUses: newDay, periods, rolls
+        })),
+        ...this._getRestEnchantmentRecovery({ periods })
       ],
+      type: config.type,
       longRest,
       newDay
     });
@@ -2393,6 +2572,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
    * @protected
    */
   async _displayRestResultMessage(result, longRest=false) {
+    if ( result.type && !["short", "long"].includes(result.type) ) return this._displayCustomRestResultMessage(result);
     const { dhd, dhp, newDay } = result;
     const diceRestored = dhd !== 0;
     const healthRestored = dhp !== 0;
@@ -2429,7 +2609,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
         name: this.name,
         dice: longRest ? dhd : -dhd,
         health: dhp
-      }),
+      }) + this._getRestInterruptionNote(result),
       "flags.dnd5e.rest": { type: longRest ? "long" : "short" }
     };
     ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
@@ -2438,6 +2618,286 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Display a chat message with the result of a rest of a type other than short or long.
+   * @param {RestResult} result       Result of the rest operation.
+   * @returns {Promise<ChatMessage>}  Chat message that was created.
+   * @protected
+   */
+  async _displayCustomRestResultMessage(result) {
+    const { dhd, dhp } = result;
+    const rest = CONFIG.DND5E.restTypes[result.type]?.label ?? game.i18n.localize("DND5E.Rest");
+    let message = "DND5E.RestType.Result";
+    if ( !dhd && !dhp ) message = "DND5E.RestType.ResultShort";
+    else if ( !dhd ) message = "DND5E.RestType.ResultHitPoints";
+    else if ( !dhp ) message = "DND5E.RestType.ResultHitDice";
+
+    const chatData = {
+      user: game.user.id,
+      speaker: { actor: this, alias: this.name },
+      flavor: rest,
+      rolls: result.rolls,
+      content: game.i18n.format(message, { name: this.name, rest, dice: Math.abs(dhd), health: dhp })
+        + this._getRestInterruptionNote(result),
+      "flags.dnd5e.rest": { type: result.type }
+    };
+    ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+    return ChatMessage.create(chatData);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Describe how many times a timed rest was interrupted for inclusion in its result message.
+   * @param {RestResult} result  Result of the rest operation.
+   * @returns {string}           HTML note, or an empty string if the rest was never interrupted.
+   * @protected
+   */
+  _getRestInterruptionNote(result) {
+    if ( !result.interruptions ) return "";
+    return `<p class="rest-interruptions">${game.i18n.format("DND5E.RestProgress.Result", {
+      count: formatNumber(result.interruptions)
+    })}</p>`;
+  }
+
+  /* -------------------------------------------- */
+  /*  Timed Rests                                 */
+  /* -------------------------------------------- */
+
+  /**
+   * Begin a timed rest. Recovery is deferred until the rest's duration has passed on the game clock.
+   * @param {RestConfiguration} config  Configuration data for the rest occurring.
+   * @param {RestResult} [result={}]    Results gathered before the rest began, such as hit dice spent.
+   * @returns {Promise<void>}
+   */
+  async startTimedRest(config, result={}) {
+    if ( this.restInProgress ) {
+      ui.notifications.warn(game.i18n.format("DND5E.RestProgress.Warning.InProgress", { name: this.name }));
+      return;
+    }
+
+    const start = game.time.worldTime;
+    const progress = {
+      config: { ...config, timed: false },
+      result: { dhd: result.dhd ?? 0, dhp: result.dhp ?? 0, hitDiceSpent: result.hitDiceSpent ?? {} },
+      start,
+      end: start + (config.duration * 60),
+      interrupted: false,
+      remaining: null,
+      interruptions: 0
+    };
+
+    /**
+     * A hook event that fires before a timed rest is started.
+     * @function dnd5e.preStartTimedRest
+     * @memberof hookEvents
+     * @param {Actor5e} actor              The actor that is resting.
+     * @param {RestProgressData} progress  State of the rest that will be stored on the actor.
+     * @returns {boolean}                  Explicitly return `false` to prevent the rest from being started.
+     */
+    if ( Hooks.call("dnd5e.preStartTimedRest", this, progress) === false ) return;
+
+    await this.setFlag("dnd5e", "restInProgress", progress);
+    if ( config.chat ) await this._displayRestProgressMessage("Started", {
+      duration: formatNumber(config.duration, { style: "unit", unit: "minute", unitDisplay: "long" })
+    });
+
+    /**
+     * A hook event that fires after a timed rest has been started.
+     * @function dnd5e.startTimedRest
+     * @memberof hookEvents
+     * @param {Actor5e} actor              The actor that is resting.
+     * @param {RestProgressData} progress  State of the rest stored on the actor.
+     */
+    Hooks.callAll("dnd5e.startTimedRest", this, progress);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Interrupt the timed rest this actor is taking, pausing it until the GM resumes or aborts it.
+   * @param {object} [options={}]
+   * @param {string} [options.reason]  Reason for the interruption, either "combat" or "damage".
+   * @returns {Promise<void>}
+   */
+  async interruptRest({ reason }={}) {
+    const progress = this.restInProgress;
+    if ( !progress || progress.interrupted ) return;
+
+    /**
+     * A hook event that fires before a timed rest is interrupted.
+     * @function dnd5e.preInterruptRest
+     * @memberof hookEvents
+     * @param {Actor5e} actor              The actor that is resting.
+     * @param {RestProgressData} progress  State of the rest in progress.
+     * @param {string} [reason]            Reason for the interruption.
+     * @returns {boolean}                  Explicitly return `false` to prevent the rest from being interrupted.
+     */
+    if ( Hooks.call("dnd5e.preInterruptRest", this, progress, reason) === false ) return;
+
+    await this.setFlag("dnd5e", "restInProgress", {
+      ...progress,
+      interrupted: true,
+      remaining: Math.max(progress.end - game.time.worldTime, 0),
+      interruptions: progress.interruptions + 1
+    });
+
+    const rest = CONFIG.DND5E.restTypes[progress.config.type]?.label ?? game.i18n.localize("DND5E.Rest");
+    const content = await renderTemplate("systems/dnd5e/templates/chat/rest-interrupted-card.hbs", {
+      actor: this,
+      message: game.i18n.format("DND5E.RestProgress.Interrupted", { name: this.name, rest }),
+      reason: reason ? game.i18n.localize(`DND5E.RestProgress.Reason.${reason.capitalize()}`) : null,
+      subtitle: rest
+    });
+    await ChatMessage.implementation.create({
+      content,
+      speaker: ChatMessage.implementation.getSpeaker({ actor: this }),
+      whisper: game.users.filter(u => u.isGM).map(u => u.id)
+    });
+
+    /**
+     * A hook event that fires after a timed rest has been interrupted.
+     * @function dnd5e.interruptRest
+     * @memberof hookEvents
+     * @param {Actor5e} actor    The actor that is resting.
+     * @param {string} [reason]  Reason for the interruption.
+     */
+    Hooks.callAll("dnd5e.interruptRest", this, reason);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Resume an interrupted rest, which will be completed once the time that was remaining has passed.
+   * @returns {Promise<void>}
+   */
+  async resumeRest() {
+    const progress = this.restInProgress;
+    if ( !progress?.interrupted ) return;
+    const end = game.time.worldTime + (progress.remaining ?? 0);
+    await this.setFlag("dnd5e", "restInProgress", { ...progress, end, interrupted: false, remaining: null });
+    if ( progress.config.chat ) await this._displayRestProgressMessage("Resumed");
+    if ( end <= game.time.worldTime ) await this.completeRest();
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Abort the rest this actor is taking without applying any of its recovery, refunding any hit dice spent and
+   * removing the hit points they restored when the rest was started.
+   * @returns {Promise<void>}
+   */
+  async abortRest() {
+    const progress = this.restInProgress;
+    if ( !progress ) return;
+    await this.unsetFlag("dnd5e", "restInProgress");
+
+    const { dhd=0, dhp=0, hitDiceSpent={} } = progress.result ?? {};
+    const updateData = {};
+    if ( dhp ) updateData["system.attributes.hp.value"] = Math.max(this.system.attributes.hp.value - dhp, 0);
+    if ( dhd && (this.type === "npc") ) {
+      updateData["system.attributes.hd.spent"] = Math.max(this.system.attributes.hd.spent + dhd, 0);
+    }
+    const updateItems = Object.entries(hitDiceSpent).reduce((arr, [id, spent]) => {
+      const item = this.items.get(id);
+      if ( item && spent ) arr.push({ _id: id, "system.hitDiceUsed": Math.max(item.system.hitDiceUsed - spent, 0) });
+      return arr;
+    }, []);
+    await this.update(updateData, { isRest: true });
+    await this.updateEmbeddedDocuments("Item", updateItems, { isRest: true });
+
+    if ( progress.config.chat ) await this._displayRestProgressMessage("Aborted", {}, progress);
+
+    /**
+     * A hook event that fires after a timed rest has been aborted.
+     * @function dnd5e.abortRest
+     * @memberof hookEvents
+     * @param {Actor5e} actor              The actor that was resting.
+     * @param {RestProgressData} progress  State of the rest when it was aborted.
+     */
+    Hooks.callAll("dnd5e.abortRest", this, progress);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Complete the timed rest this actor is taking, applying its recovery.
+   * @returns {Promise<RestResult|void>}
+   */
+  async completeRest() {
+    const progress = this.restInProgress;
+    if ( !progress || progress.interrupted ) return;
+    await this.unsetFlag("dnd5e", "restInProgress");
+    return this._rest({ ...progress.config, timed: false, deferred: true, advanceTime: false }, {
+      ...progress.result, interruptions: progress.interruptions
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Display a chat message describing a change in the state of a timed rest.
+   * @param {string} state                 State of the rest, matching a key in `DND5E.RestProgress`.
+   * @param {object} [data={}]             Additional data used when formatting the message.
+   * @param {RestProgressData} [progress]  Rest being described, if it is no longer stored on the actor.
+   * @returns {Promise<ChatMessage>}       Chat message that was created.
+   * @protected
+   */
+  async _displayRestProgressMessage(state, data={}, progress=this.restInProgress) {
+    const rest = CONFIG.DND5E.restTypes[progress?.config.type]?.label ?? game.i18n.localize("DND5E.Rest");
+    const chatData = {
+      user: game.user.id,
+      speaker: { actor: this, alias: this.name },
+      flavor: rest,
+      content: `<p>${game.i18n.format(`DND5E.RestProgress.${state}`, { ...data, name: this.name, rest })}</p>`
+    };
+    ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+    return ChatMessage.create(chatData);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Complete any timed rests whose duration has passed when the world time changes. Only handled by the active GM,
+   * and only for world actors and unlinked tokens on the active and viewed scenes.
+   * @param {number} worldTime  The new world time.
+   */
+  static async onUpdateWorldTime(worldTime) {
+    if ( game.user !== game.users.activeGM ) return;
+    const actors = game.actors.filter(a => a.restInProgress);
+    for ( const scene of new Set([game.scenes.active, game.scenes.viewed]) ) {
+      for ( const token of scene?.tokens ?? [] ) {
+        if ( !token.actorLink && token.delta?.flags?.dnd5e?.restInProgress && token.actor ) actors.push(token.actor);
+      }
+    }
+    for ( const actor of actors ) {
+      const progress = actor.restInProgress;
+      if ( progress && !progress.interrupted && (progress.end <= worldTime) ) await actor.completeRest();
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Attach listeners for the resume and abort controls on interrupted rest chat cards.
+   * @param {jQuery} html  Rendered chat message HTML.
+   */
+  static chatListeners(html) {
+    html[0].addEventListener("click", async event => {
+      const button = event.target.closest("[data-rest-action]");
+      if ( !button || !game.user.isGM ) return;
+      event.preventDefault();
+      const actor = await fromUuid(button.closest("[data-actor-uuid]")?.dataset.actorUuid);
+      if ( !actor ) return;
+      button.disabled = true;
+      if ( button.dataset.restAction === "resume" ) await actor.resumeRest();
+      else if ( button.dataset.restAction === "abort" ) await actor.abortRest();
+      button.disabled = false;
+    });
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Automatically spend hit dice to recover hit points up to a certain threshold.
    * @param {object} [options]
@@ -2479,6 +2939,21 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Removes levels of exhaustion.
+   * @param {object} [options]
+   * @param {number} [options.levels=0]  Number of exhaustion levels to remove.
+   * @returns {object}                   Updates to the actor.
+   * @protected
+   */
+  _getRestExhaustionRecovery({ levels=0 }={}) {
+    const exhaustion = this.system.attributes?.exhaustion;
+    if ( !levels || !exhaustion ) return {};
+    return { "system.attributes.exhaustion": Math.max(0, exhaustion - levels) };
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Recovers actor resources.
    * @param {object} [options]
@@ -2528,6 +3003,21 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Get the number of hit dice used from each of the actor's classes.
+   * @param {Record<string, number>} [from]  Previous counts, if only the dice used since then should be returned.
+   * @returns {Record<string, number>}       Hit dice used keyed by class ID.
+   * @protected
+   */
+  _getHitDiceUsed(from) {
+    return Object.values(this.classes).reduce((obj, cls) => {
+      obj[cls.id] = (cls.system.hitDiceUsed ?? 0) - (from?.[cls.id] ?? 0);
+      return obj;
+    }, {});
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Recovers class hit dice during a long rest.
    *
@@ -2560,16 +3050,22 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
    * @param {boolean} [options.recoverShortRestUses=true]  Recover uses for items that recharge after a short rest.
    * @param {boolean} [options.recoverLongRestUses=true]   Recover uses for items that recharge after a long rest.
    * @param {boolean} [options.recoverDailyUses=true]      Recover uses for items that recharge on a new day.
+   * @param {Set<string>} [options.periods]                Any other limited use periods for which uses are recovered.
    * @param {Roll[]} [options.rolls]                       Rolls that have been performed as part of this rest.
    * @returns {Promise<object[]>}                          Array of item updates.
    * @protected
    */
   async _getRestItemUsesRecovery({recoverShortRestUses=true, recoverLongRestUses=true,
-    recoverDailyUses=true, rolls}={}) {
-    let recovery = [];
+    recoverDailyUses=true, periods=new Set(), rolls}={}) {
+    let recovery = Array.from(periods);
     if ( recoverShortRestUses ) recovery.push("sr");
     if ( recoverLongRestUses ) recovery.push("lr");
     if ( recoverDailyUses ) recovery.push("day");
+    if ( recoverShortRestUses || recoverLongRestUses ) {
+      for ( const [key, config] of Object.entries(CONFIG.DND5E.limitedUsePeriods) ) {
+        if ( config.combat ) recovery.push(key);
+      }
+    }
     let updates = [];
     for ( let item of this.items ) {
       const uses = item.system.uses ?? {};
@@ -2615,6 +3111,254 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     return updates;
   }
 
+  /* -------------------------------------------- */
+
+  /**
+   * Unlock enchantment sources so their enchantments can be bound to new items during a rest.
+   * @param {object} [options]
+   * @param {Set<string>} [options.periods]  Recovery periods that apply to this rest.
+   * @returns {object[]}                     Array of item updates.
+   * @protected
+   */
+  _getRestEnchantmentRecovery({ periods=new Set() }={}) {
+    return this.items.reduce((updates, item) => {
+      if ( item.getFlag("dnd5e", "bindingLocked") && periods.has(item.system.enchantment?.items.period) ) {
+        updates.push({ _id: item.id, "flags.dnd5e.-=bindingLocked": null });
+      }
+      return updates;
+    }, []);
+  }
+
+  /* -------------------------------------------- */
+  /*  Crafting                                    */
+  /* -------------------------------------------- */
+
+  /**
+   * An item being crafted during downtime.
+   *
+   * @typedef {object} CraftingProjectData
+   * @property {string} id        Unique ID of the project.
+   * @property {string} type      Kind of item being crafted, as defined in `CONFIG.DND5E.craftingTypes`.
+   * @property {string} name      Name of the item being crafted.
+   * @property {string} img       Image of the item being crafted.
+   * @property {object} itemData  Data for the item that will be created when the project is complete.
+   * @property {number} cost      Gold pieces that were spent when the project was started.
+   * @property {number} days      Days of downtime required to complete the project.
+   * @property {number} progress  Days of downtime spent on the project so far.
+   */
+
+  /* -------------------------------------------- */
+
+  /**
+   * Determine which kind of crafting can produce the provided item.
+   * @param {Item5e|object} item  A spell to be scribed or a consumable to be used as a recipe.
+   * @returns {string|null}       Key in `CONFIG.DND5E.craftingTypes`, or `null` if the item cannot be crafted.
+   */
+  static getCraftingType(item) {
+    if ( item.type === "spell" ) return "scroll";
+    if ( item.type !== "consumable" ) return null;
+    const type = item.system.type?.value;
+    return Object.entries(CONFIG.DND5E.craftingTypes).find(([, c]) => c.subtype && (c.subtype === type))?.[0] ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Look up the time and cost required to craft an item.
+   * @param {Item5e|object} item  Item that will be created by crafting, either a scroll or the recipe item.
+   * @param {string} type         Key in `CONFIG.DND5E.craftingTypes`.
+   * @returns {CraftingCostConfiguration|null}
+   */
+  static getCraftingCost(item, type) {
+    const basis = CONFIG.DND5E.craftingTypes[type]?.basis;
+    const key = basis === "spellLevel"
+      ? foundry.utils.getProperty(item, "flags.dnd5e.spellLevel.value") ?? item.system.level
+      : item.system.rarity;
+    return CONFIG.DND5E.craftingCosts[basis]?.[key] ?? null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Begin crafting a spell scroll from a spell or a potion or wand from a recipe item. The cost of crafting is deducted
+   * from the actor's currency when the project is started.
+   * @param {Item5e} item                  Spell to scribe onto a scroll or the item to use as a recipe.
+   * @param {object} [options={}]
+   * @param {boolean} [options.dialog=true]  Prompt the user to confirm the time and cost of crafting.
+   * @returns {Promise<CraftingProjectData|void>}  The project that was started.
+   */
+  async startCrafting(item, { dialog=true }={}) {
+    const type = this.constructor.getCraftingType(item);
+    if ( !type || !this.system.currency ) return;
+
+    // Prepare the item that will be produced
+    let itemData;
+    if ( type === "scroll" ) itemData = (await Item5e.createScrollFromSpell(item, {}, { dialog }))?.toObject();
+    else {
+      itemData = item.toObject();
+      foundry.utils.setProperty(itemData, "system.quantity", 1);
+    }
+    if ( !itemData ) return;
+    delete itemData._id;
+    delete itemData.folder;
+    delete itemData.sort;
+
+    const requirement = this.constructor.getCraftingCost(itemData, type);
+    if ( !requirement ) {
+      ui.notifications.warn(game.i18n.format("DND5E.Crafting.Warning.NotCraftable", { name: itemData.name }));
+      return;
+    }
+    const currency = CurrencyManager.calculateDeduction(this.system.currency, requirement.cost);
+    if ( !currency ) {
+      ui.notifications.warn(game.i18n.format("DND5E.Crafting.Warning.CannotAfford", {
+        name: this.name, cost: formatNumber(requirement.cost), item: itemData.name
+      }));
+      return;
+    }
+
+    if ( dialog ) {
+      const confirmed = await Dialog.confirm({
+        title: game.i18n.format("DND5E.Crafting.Start.Title", { name: itemData.name }),
+        content: `<p>${game.i18n.format("DND5E.Crafting.Start.Content", {
+          name: itemData.name, cost: formatNumber(requirement.cost), days: formatNumber(requirement.days)
+        })}</p>`
+      });
+      if ( !confirmed ) return;
+    }
+
+    const project = {
+      id: foundry.utils.randomID(),
+      type,
+      name: itemData.name,
+      img: itemData.img,
+      itemData,
+      cost: requirement.cost,
+      days: requirement.days,
+      progress: 0
+    };
+
+    /**
+     * A hook event that fires before a crafting project is started.
+     * @function dnd5e.preStartCrafting
+     * @memberof hookEvents
+     * @param {Actor5e} actor                 Actor that is crafting.
+     * @param {CraftingProjectData} project   Project that will be started.
+     * @param {Record<string, number>} currency  Currency the actor will have once the cost is paid.
+     * @returns {boolean}                     Explicitly return `false` to prevent the project from being started.
+     */
+    if ( Hooks.call("dnd5e.preStartCrafting", this, project, currency) === false ) return;
+
+    await this.update({ "system.currency": currency, [`flags.dnd5e.crafting.${project.id}`]: project });
+
+    /**
+     * A hook event that fires after a crafting project has been started.
+     * @function dnd5e.startCrafting
+     * @memberof hookEvents
+     * @param {Actor5e} actor                Actor that is crafting.
+     * @param {CraftingProjectData} project  Project that was started.
+     */
+    Hooks.callAll("dnd5e.startCrafting", this, project);
+
+    return project;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Spend downtime days on a crafting project, creating its item once enough days have been spent.
+   * @param {string} id         ID of the crafting project.
+   * @param {number} [days=1]   Number of downtime days spent.
+   * @returns {Promise<Item5e|CraftingProjectData|void>}  The crafted item if the project was completed, otherwise the
+   *                                                     updated project.
+   */
+  async progressCrafting(id, days=1) {
+    const project = this.craftingProjects[id];
+    if ( !project ) return;
+    const progress = Math.min(project.progress + days, project.days);
+    if ( progress >= project.days ) return this.completeCrafting(id);
+    await this.setFlag("dnd5e", `crafting.${id}.progress`, progress);
+    return { ...project, progress };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Finish a crafting project, adding the crafted item to the actor's inventory.
+   * @param {string} id  ID of the crafting project.
+   * @returns {Promise<Item5e|void>}  The item that was crafted.
+   */
+  async completeCrafting(id) {
+    const project = this.craftingProjects[id];
+    if ( !project ) return;
+    const itemData = foundry.utils.deepClone(project.itemData);
+
+    /**
+     * A hook event that fires before a crafting project is completed.
+     * @function dnd5e.preCompleteCrafting
+     * @memberof hookEvents
+     * @param {Actor5e} actor                Actor that is crafting.
+     * @param {CraftingProjectData} project  Project being completed.
+     * @param {object} itemData              Data for the item that will be created.
+     * @returns {boolean}                    Explicitly return `false` to prevent the project from being completed.
+     */
+    if ( Hooks.call("dnd5e.preCompleteCrafting", this, project, itemData) === false ) return;
+
+    // Only remove the project once the item has been created, so progress isn't lost if creation fails
+    const [item] = await this.createEmbeddedDocuments("Item", [itemData]);
+    if ( !item ) return;
+    await this.update({ [`flags.dnd5e.crafting.-=${id}`]: null });
+    await this._displayCraftingMessage("Completed", { ...project, progress: project.days });
+
+    /**
+     * A hook event that fires after a crafting project has been completed.
+     * @function dnd5e.completeCrafting
+     * @memberof hookEvents
+     * @param {Actor5e} actor                Actor that was crafting.
+     * @param {CraftingProjectData} project  Project that was completed.
+     * @param {Item5e} item                  Item that was crafted.
+     */
+    Hooks.callAll("dnd5e.completeCrafting", this, project, item);
+
+    return item;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Abandon a crafting project. Gold spent on the project is not refunded.
+   * @param {string} id  ID of the crafting project.
+   * @returns {Promise<Actor5e|void>}
+   */
+  async abortCrafting(id) {
+    const project = this.craftingProjects[id];
+    if ( !project ) return;
+    await this.update({ [`flags.dnd5e.crafting.-=${id}`]: null });
+    await this._displayCraftingMessage("Aborted", project);
+    return this;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Display a chat message describing a change in the state of a crafting project.
+   * @param {string} state                 State of the project, matching a key in `DND5E.Crafting`.
+   * @param {CraftingProjectData} project  The project being described.
+   * @returns {Promise<ChatMessage>}       Chat message that was created.
+   * @protected
+   */
+  async _displayCraftingMessage(state, project) {
+    const chatData = {
+      user: game.user.id,
+      speaker: { actor: this, alias: this.name },
+      flavor: CONFIG.DND5E.craftingTypes[project.type]?.label,
+      content: `<p>${game.i18n.format(`DND5E.Crafting.${state}`, {
+        name: this.name, item: project.name, days: formatNumber(project.progress)
+      })}</p>`
+    };
+    ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+    return ChatMessage.create(chatData);
+  }
+
   /* -------------------------------------------- */
   /*  Property Attribution                        */
   /* -------------------------------------------- */
@@ -3257,6 +4001,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
     if ( userId === game.userId ) {
       await this.updateEncumbrance(options);
       this._onUpdateExhaustion(data, options);
+      this._onUpdateDeathSaves(data, options);
     }
 
     const hp = options.dnd5e?.hp;
@@ -3273,6 +4018,7 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
         if ( !game.settings.get("dnd5e", "disableConcentration") && (userId === game.userId) && (changes.total < 0) ) {
           this.challengeConcentration({ dc: this.getConcentrationDC(-changes.total) });
         }
+        if ( (userId === game.userId) && (changes.total < 0) ) this.interruptRest({ reason: "damage" });
 
         /**
          * A hook event that fires when an actor is damaged or healed by any means. The actual name
@@ -3401,6 +4147,33 @@ export default class Actor5e extends SystemDocumentMixin(Actor) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Handle the results of changes to death saves, applying the configured death status and defeating any combatants
+   * on three failures, and ending stability when the creature is healed or damaged again.
+   * @param {object} data                          The Actor's update delta.
+   * @param {DocumentModificationContext} options  Additional options supplied with the update.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onUpdateDeathSaves(data, options) {
+    const { death, hp } = this.system.attributes ?? {};
+    if ( !death ) return;
+    const failure = foundry.utils.getProperty(data, "system.attributes.death.failure");
+    const healed = foundry.utils.getProperty(data, "system.attributes.hp.value") > 0;
+    if ( healed || (failure > 0) ) await this.setStatusEffect("stable", false);
+    if ( !(failure >= 3) || (hp.value > 0) ) return;
+
+    if ( CONFIG.DND5E.deathStatus ) await this.setStatusEffect(CONFIG.DND5E.deathStatus, true, { overlay: true });
+    for ( const combat of game.combats ) {
+      const updates = combat.combatants
+        .filter(c => (c.actor === this) && !c.defeated && c.isOwner)
+        .map(c => ({ _id: c.id, defeated: true }));
+      if ( updates.length ) await combat.updateEmbeddedDocuments("Combatant", updates);
+    }
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Handle applying/removing encumbrance statuses.
    * @param {DocumentModificationContext} options  Additional options supplied with the update.
@@ -1,5 +1,6 @@
 export {default as Advancement} from "./advancement.mjs";
 
+export {default as AbilityScoreGenerationAdvancement} from "./ability-score-generation.mjs";
 export {default as AbilityScoreImprovementAdvancement} from "./ability-score-improvement.mjs";
 export {default as HitPointsAdvancement} from "./hit-points.mjs";
 export {default as ItemChoiceAdvancement} from "./item-choice.mjs";
@@ -0,0 +1,186 @@
+import Advancement from "./advancement.mjs";
+import AbilityScoreGenerationConfig from "../../applications/advancement/ability-score-generation-config.mjs";
+import AbilityScoreGenerationFlow from "../../applications/advancement/ability-score-generation-flow.mjs";
+import {
+  AbilityScoreGenerationConfigurationData,
+  AbilityScoreGenerationValueData
+} from "../../data/advancement/ability-score-generation.mjs";
+
+/**
+ * Advancement that generates a character's starting ability scores using point buy, the standard array, or rolls.
+ */
+export default class AbilityScoreGenerationAdvancement extends Advancement {
+
+  /** @inheritdoc */
+  static get metadata() {
+    return foundry.utils.mergeObject(super.metadata, {
+      dataModels: {
+        configuration: AbilityScoreGenerationConfigurationData,
+        value: AbilityScoreGenerationValueData
+      },
+      order: 15,
+      icon: "systems/dnd5e/icons/svg/ability-score-improvement.svg",
+      title: game.i18n.localize("DND5E.AdvancementAbilityScoreGenerationTitle"),
+      hint: game.i18n.localize("DND5E.AdvancementAbilityScoreGenerationHint"),
+      apps: {
+        config: AbilityScoreGenerationConfig,
+        flow: AbilityScoreGenerationFlow
+      }
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Instance Properties                         */
+  /* -------------------------------------------- */
+
+  /**
+   * Labels of the generation methods the player can choose between.
+   * @type {Object<string, string>}
+   */
+  get methods() {
+    return Object.entries(CONFIG.DND5E.abilityScoreGenerationMethods).reduce((obj, [key, { label }]) => {
+      if ( this.configuration.methods.has(key) ) obj[key] = label;
+      return obj;
+    }, {});
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Have the actor's ability scores already been generated by a different advancement? Scores can only be
+   * generated once per actor.
+   * @type {boolean}
+   */
+  get generatedElsewhere() {
+    const source = this.actor?.getFlag("dnd5e", "abilityScoreGeneration.source");
+    return !!source && (source !== this.uuid);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Lowest and highest scores that can be bought with point buy.
+   * @type {{ min: number, max: number }}
+   */
+  get pointBuyRange() {
+    const scores = Object.keys(this.configuration.pointBuy.costs).map(Number).filter(Number.isFinite);
+    if ( !scores.length ) return { min: 10, max: 10 };
+    return { min: Math.min(...scores), max: Math.max(...scores) };
+  }
+
+  /* -------------------------------------------- */
+  /*  Instance Methods                            */
+  /* -------------------------------------------- */
+
+  /**
+   * Is this ability's score set by this advancement?
+   * @param {string} ability  The ability key.
+   * @returns {boolean}
+   */
+  canGenerate(ability) {
+    return (ability in CONFIG.DND5E.abilities) && (ability in (this.actor?.system.abilities ?? {}));
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Total point buy cost of the provided scores.
+   * @param {Object<string, number>} scores  Scores for each ability.
+   * @returns {number}                       Cost of the scores, or `Infinity` if any can't be bought.
+   */
+  pointBuyCost(scores) {
+    return Object.values(scores).reduce((total, score) => {
+      return total + (this.configuration.pointBuy.costs[score] ?? Infinity);
+    }, 0);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Scores that can be assigned to abilities for the array-based methods.
+   * @param {string} method       Generation method.
+   * @param {number[]} [rolls]    Results rolled for the roll method.
+   * @returns {number[]|null}
+   */
+  poolForMethod(method, rolls) {
+    if ( method === "standardArray" ) return this.configuration.standardArray;
+    if ( method === "roll" ) return rolls ?? null;
+    return null;
+  }
+
+  /* -------------------------------------------- */
+  /*  Display Methods                             */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  summaryForLevel(level, { configMode=false }={}) {
+    if ( configMode ) return Object.values(this.methods).map(m => `<span class="tag">${m}</span>`).join("");
+    if ( !this.value.method ) return "";
+    const method = CONFIG.DND5E.abilityScoreGenerationMethods[this.value.method]?.label ?? this.value.method;
+    return [
+      `<span class="tag">${method}</span>`,
+      ...Object.entries(this.value.scores ?? {}).map(([key, value]) => {
+        const name = CONFIG.DND5E.abilities[key]?.label ?? key;
+        return `<span class="tag">${name} <strong>${value}</strong></span>`;
+      })
+    ].join("\n");
+  }
+
+  /* -------------------------------------------- */
+  /*  Editing Methods                             */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  static availableForItem(item) {
+    return !item.advancement.byType.AbilityScoreGeneration?.length;
+  }
+
+  /* -------------------------------------------- */
+  /*  Application Methods                         */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  async apply(level, data) {
+    if ( this.generatedElsewhere ) return;
+    const scores = {};
+    const previous = { ...(data.previous ?? this.value.previous ?? {}) };
+    const updates = {};
+    const abilities = this.actor.system.toObject().abilities ?? {};
+    for ( const [key, value] of Object.entries(data.scores ?? {}) ) {
+      if ( !this.canGenerate(key) || !Number.isInteger(value) ) continue;
+      scores[key] = value;
+      previous[key] ??= abilities[key]?.value ?? 10;
+      updates[`system.abilities.${key}.value`] = value;
+    }
+    const value = { method: data.method, scores, rolls: data.rolls ?? undefined, previous };
+    updates["flags.dnd5e.abilityScoreGeneration"] = {
+      method: value.method, scores, rolls: value.rolls, source: this.uuid
+    };
+    this.actor.updateSource(updates);
+    this.updateSource({ value });
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  restore(level, data) {
+    this.apply(level, data);
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  reverse(level) {
+    const source = this.value.toObject();
+    const updates = {};
+    for ( const key of Object.keys(this.value.scores ?? {}) ) {
+      if ( this.canGenerate(key) ) updates[`system.abilities.${key}.value`] = this.value.previous?.[key] ?? 10;
+    }
+    updates["flags.dnd5e.-=abilityScoreGeneration"] = null;
+    this.actor.updateSource(updates);
+    this.updateSource({
+      "value.-=method": null, "value.-=scores": null, "value.-=rolls": null, "value.-=previous": null
+    });
+    return source;
+  }
+}
@@ -311,6 +311,18 @@ export default class Advancement extends BaseAdvancement {
   /*  Application Methods                         */
   /* -------------------------------------------- */
 
+  /**
+   * Data that can be passed to `Advancement#apply` to apply this advancement without any input from the player,
+   * such as when previewing a level change.
+   * @param {number} level    Level being advanced.
+   * @returns {object|false}  Data to apply, or `false` if the player must make a choice.
+   */
+  automaticApplicationValue(level) {
+    return false;
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Locally apply this advancement to the actor.
    * @param {number} level   Level being advanced.
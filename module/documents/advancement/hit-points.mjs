@@ -138,6 +138,16 @@ export default class HitPointsAdvancement extends Advancement {
   /*  Application Methods                         */
   /* -------------------------------------------- */
 
+  /**
+   * Takes the maximum hit points at the first level of the original class, and the average otherwise.
+   * @inheritdoc
+   */
+  automaticApplicationValue(level) {
+    return { [level]: (level === 1) && this.item.isOriginalClass ? "max" : "avg" };
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Add the ability modifier and any bonuses to the provided hit points value to get the number to apply.
    * @param {number} value  Hit points taken at a given level.
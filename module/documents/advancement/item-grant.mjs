@@ -65,6 +65,13 @@ export default class ItemGrantAdvancement extends Advancement {
   /*  Application Methods                         */
   /* -------------------------------------------- */
 
+  /** @inheritdoc */
+  automaticApplicationValue(level) {
+    return Object.fromEntries(this.configuration.items.map(i => [i.uuid, true]));
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Location where the added items are stored for the specified level.
    * @param {number} level  Level being advanced.
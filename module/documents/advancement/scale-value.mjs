@@ -97,4 +97,13 @@ export default class ScaleValueAdvancement extends Advancement {
     return true;
   }
 
+  /* -------------------------------------------- */
+  /*  Application Methods                         */
+  /* -------------------------------------------- */
+
+  /** @inheritdoc */
+  automaticApplicationValue(level) {
+    return {};
+  }
+
 }
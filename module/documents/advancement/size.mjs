@@ -76,6 +76,14 @@ export default class SizeAdvancement extends Advancement {
   /*  Application Methods                         */
   /* -------------------------------------------- */
 
+  /** @inheritdoc */
+  automaticApplicationValue(level) {
+    if ( this.configuration.sizes.size !== 1 ) return false;
+    return { size: this.configuration.sizes.first() };
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritdoc */
   async apply(level, data) {
     this.actor.updateSource({"system.traits.size": data.size ?? "med"});
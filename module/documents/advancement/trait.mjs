@@ -93,6 +93,14 @@ export default class TraitAdvancement extends Advancement {
   /*  Application Methods                         */
   /* -------------------------------------------- */
 
+  /** @inheritdoc */
+  automaticApplicationValue(level) {
+    if ( this.configuration.choices.length || this.configuration.grants.some(k => k.endsWith("*")) ) return false;
+    return { chosen: new Set(this.configuration.grants) };
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritdoc */
   async apply(level, data) {
     const updates = {};
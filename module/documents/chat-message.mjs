@@ -47,6 +47,16 @@ export default class ChatMessage5e extends ChatMessage {
 
   /* -------------------------------------------- */
 
+  /**
+   * The message recording a successful counter of the spell described by this message, if any.
+   * @type {ChatMessage5e|null}
+   */
+  get counteredBy() {
+    return game.messages.get(this.getFlag("dnd5e", "countered")) ?? null;
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritDoc */
   get isRoll() {
     return super.isRoll && !this.flags.dnd5e?.rest;
@@ -67,6 +77,23 @@ export default class ChatMessage5e extends ChatMessage {
     }
   }
 
+  /* -------------------------------------------- */
+  /*  Lifecycle                                   */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onCreate(data, options, userId) {
+    super._onCreate(data, options, userId);
+
+    // Record a successful counter on the countered spell's message, which is handled by the active GM because the
+    // countering user may not own that message
+    const interaction = this.getFlag("dnd5e", "spellInteraction");
+    const target = game.messages.get(interaction?.target);
+    if ( target && (interaction.mode === "counter") && interaction.success && (game.user === game.users.activeGM) ) {
+      target.setFlag("dnd5e", "countered", this.id);
+    }
+  }
+
   /* -------------------------------------------- */
   /*  Rendering                                   */
   /* -------------------------------------------- */
@@ -82,6 +109,7 @@ export default class ChatMessage5e extends ChatMessage {
     }
 
     this._enrichChatCard(html[0]);
+    this._displayCountered(html[0]);
     this._collapseTrays(html[0]);
 
     /**
@@ -156,6 +184,7 @@ export default class ChatMessage5e extends ChatMessage {
       const buttons = chatCard.find("button[data-action]:not(.apply-effect)");
       buttons.each((i, btn) => {
         if ( ["save", "rollRequest", "concentration"].includes(btn.dataset.action) ) return;
+        if ( btn.dataset.action in CONFIG.DND5E.spellInteractions ) return;
         btn.style.display = "none";
       });
     }
@@ -163,6 +192,27 @@ export default class ChatMessage5e extends ChatMessage {
 
   /* -------------------------------------------- */
 
+  /**
+   * Mark a spell card that has been successfully countered by another spell.
+   * @param {HTMLElement} html  Rendered contents of the message.
+   * @protected
+   */
+  _displayCountered(html) {
+    const card = html.querySelector(".chat-card.item-card");
+    if ( !card || (this.getFlag("dnd5e", "use.type") !== "spell") ) return;
+    const counter = this.counteredBy;
+    if ( !counter ) return;
+    card.classList.add("countered");
+    const note = document.createElement("p");
+    note.classList.add("supplement", "countered-note");
+    note.innerHTML = `<i class="fa-solid fa-ban" inert></i> ${game.i18n.format("DND5E.SpellInteraction.Countered", {
+      name: counter.alias
+    })}`;
+    card.querySelector(".card-header")?.after(note);
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Highlight critical success or failure on d20 rolls.
    * @param {jQuery} html     Rendered contents of the message.
@@ -651,8 +701,9 @@ export default class ChatMessage5e extends ChatMessage {
       type: roll.options.type,
       properties: new Set(roll.options.properties ?? [])
     }));
+    const isCritical = this.rolls.some(r => r.isCritical);
     return Promise.all(canvas.tokens.controlled.map(t => {
-      return t.actor?.applyDamage(damages, { multiplier, invertHealing: false, ignore: true });
+      return t.actor?.applyDamage(damages, { multiplier, invertHealing: false, ignore: true, isCritical });
     }));
   }
 
@@ -41,5 +41,261 @@ export default class Combat5e extends Combat {
     previous?.refreshDynamicRing();
     return this;
   }
-}
 
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  setupTurns() {
+    // Find the riders of controlled mounts once, rather than for every comparison while sorting
+    this._mountRiders = new Map();
+    for ( const combatant of this.combatants ) {
+      const mount = combatant.controlledMount;
+      if ( mount ) this._mountRiders.set(mount, combatant);
+    }
+    try {
+      return super.setupTurns();
+    } finally {
+      delete this._mountRiders;
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _sortCombatants(a, b) {
+    if ( a.initiative === b.initiative ) {
+      // Lair actions lose initiative ties
+      if ( a.isLairAction !== b.isLairAction ) return a.isLairAction ? 1 : -1;
+
+      // Controlled mounts act directly after their riders
+      const riders = a.parent?._mountRiders;
+      const riderOf = c => riders ? (riders.get(c) ?? null) : c.controllingRider;
+      if ( riderOf(a) === b ) return 1;
+      if ( riderOf(b) === a ) return -1;
+
+      // Summoned creatures act directly after their summoners
+      if ( a.summoner === b ) return 1;
+      if ( b.summoner === a ) return -1;
+    }
+    return super._sortCombatants(a, b);
+  }
+
+  /* -------------------------------------------- */
+  /*  Turn Events                                 */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onUpdate(changed, options, userId) {
+    super._onUpdate(changed, options, userId);
+    if ( !("turn" in changed) && !("round" in changed) ) return;
+    if ( (game.user !== game.users.activeGM) || !this.started || !this.previous ) return;
+
+    // Only act when the combat has progressed forward
+    const previous = { ...this.previous };
+    const current = { ...this.current };
+    const advanced = (current.round > previous.round)
+      || ((current.round === previous.round) && (current.turn > previous.turn));
+    if ( advanced ) this._onTurnChange(previous, current);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Process the end of the previous combatant's turn, the start of any new round, and the start of the
+   * current combatant's turn. Only called for the active GM.
+   * @param {CombatHistoryData} previous  State of the combat before the change.
+   * @param {CombatHistoryData} current   State of the combat after the change.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onTurnChange(previous, current) {
+    this._expiringEffects = new Map();
+    try {
+      if ( previous.round === 0 ) await this._onCombatStart(current);
+      const prior = this.combatants.get(previous.combatantId);
+      if ( prior && (previous.round > 0) ) await this._onCombatantTurnEnd(prior, previous);
+      if ( current.round > previous.round ) await this._onRoundStart(current);
+      const combatant = this.combatants.get(current.combatantId);
+      if ( combatant ) await this._onCombatantTurnStart(combatant, current);
+    } finally {
+      const expiring = this._expiringEffects;
+      delete this._expiringEffects;
+      if ( expiring.size ) this._promptEffectExpiration(expiring);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Perform system-specific actions when the combat begins. Only called for the active GM.
+   * @param {CombatHistoryData} current  State of the combat once it has started.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onCombatStart(current) {
+    const actors = new Set(this.combatants.map(c => c.actor).filter(_ => _));
+    for ( const actor of actors ) await actor.interruptRest?.({ reason: "combat" });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Perform system-specific actions at the start of a new round. Only called for the active GM.
+   * @param {CombatHistoryData} current  State of the combat at the start of the round.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onRoundStart(current) {
+    for ( const combatant of this.combatants ) {
+      if ( !combatant.isLairAction ) await combatant.recoverCombatUses(["round"]);
+    }
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Perform system-specific actions at the start of a combatant's turn. Only called for the active GM.
+   * @param {Combatant5e} combatant      Combatant whose turn is starting.
+   * @param {CombatHistoryData} current  State of the combat at the start of the turn.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onCombatantTurnStart(combatant, current) {
+    if ( !combatant.actor ) return;
+    if ( combatant.isLairAction ) await combatant.triggerLairAction();
+    else {
+      await combatant.resetActionEconomy();
+      await combatant.recoverLegendaryActions();
+      await combatant.recoverCombatUses(["turn"]);
+      await combatant.rollRecharges();
+      await combatant.rollDeathSave();
+    }
+    await this._triggerOngoingEffects("turnStart", combatant);
+    await this._expireEffects("turnStart", combatant, current);
+
+    /**
+     * A hook event that fires after the system has processed the start of a combatant's turn.
+     * Only called for the active GM.
+     * @function dnd5e.combatTurnStart
+     * @memberof hookEvents
+     * @param {Combat5e} combat            The combat encounter.
+     * @param {Combatant5e} combatant      Combatant whose turn is starting.
+     * @param {CombatHistoryData} current  State of the combat at the start of the turn.
+     */
+    Hooks.callAll("dnd5e.combatTurnStart", this, combatant, current);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Perform system-specific actions at the end of a combatant's turn. Only called for the active GM.
+   * @param {Combatant5e} combatant       Combatant whose turn has ended.
+   * @param {CombatHistoryData} previous  State of the combat during the turn that ended.
+   * @returns {Promise}
+   * @protected
+   */
+  async _onCombatantTurnEnd(combatant, previous) {
+    if ( !combatant.actor ) return;
+    await this._triggerOngoingEffects("turnEnd", combatant);
+    await this._expireEffects("turnEnd", combatant, previous);
+
+    /**
+     * A hook event that fires after the system has processed the end of a combatant's turn.
+     * Only called for the active GM.
+     * @function dnd5e.combatTurnEnd
+     * @memberof hookEvents
+     * @param {Combat5e} combat             The combat encounter.
+     * @param {Combatant5e} combatant       Combatant whose turn has ended.
+     * @param {CombatHistoryData} previous  State of the combat during the turn that ended.
+     */
+    Hooks.callAll("dnd5e.combatTurnEnd", this, combatant, previous);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Trigger ongoing damage and saving throws for effects on a combatant that occur when its turn starts or ends.
+   * @param {"turnStart"|"turnEnd"} event  The turn event that is occurring.
+   * @param {Combatant5e} combatant        Combatant whose turn is starting or ending.
+   * @returns {Promise}
+   * @protected
+   */
+  async _triggerOngoingEffects(event, combatant) {
+    if ( combatant.isLairAction ) return;
+    const effects = Array.from(combatant.actor.allApplicableEffects()).filter(e => e.ongoing?.timing === event);
+    for ( const effect of effects ) await effect.triggerOngoing();
+  }
+  /* -------------------------------------------- */
+
+  /**
+   * Remove, or prompt for the removal of, any effects that expire when a combatant's turn starts or ends. When
+   * prompting during a turn change, a single prompt is displayed once the turn change has been processed.
+   * @param {"turnStart"|"turnEnd"} event  The turn event that is occurring.
+   * @param {Combatant5e} combatant        Combatant whose turn is starting or ending.
+   * @param {CombatHistoryData} state      State of the combat for the turn in question.
+   * @returns {Promise<ActiveEffect5e[]>}  Effects that were deleted without prompting.
+   * @protected
+   */
+  async _expireEffects(event, combatant, state) {
+    const mode = game.settings.get("dnd5e", "combatEffectExpiration");
+    if ( (mode === "none") || combatant.isLairAction ) return [];
+
+    const expired = new Map();
+    const actors = new Set(this.combatants.map(c => c.actor).filter(_ => _));
+    for ( const actor of actors ) {
+      for ( const effect of actor.allApplicableEffects() ) {
+        if ( !effect.isExpiringOn(event, combatant, state) ) continue;
+        if ( !expired.has(actor) ) expired.set(actor, []);
+        expired.get(actor).push(effect);
+      }
+    }
+
+    if ( mode === "prompt" ) {
+      if ( !this._expiringEffects ) {
+        this._promptEffectExpiration(expired);
+        return [];
+      }
+      for ( const [actor, effects] of expired.entries() ) {
+        const pending = this._expiringEffects.get(actor) ?? new Set();
+        effects.forEach(e => pending.add(e));
+        this._expiringEffects.set(actor, pending);
+      }
+      return [];
+    }
+
+    const deleted = [];
+    for ( const effects of expired.values() ) {
+      for ( const effect of effects ) deleted.push(await effect.delete());
+    }
+    return deleted.filter(_ => _);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prompt the GM to remove expired effects. The prompt doesn't block the combat from continuing.
+   * @param {Map<Actor5e, Iterable<ActiveEffect5e>>} expired  Expired effects grouped by the actor they apply to.
+   * @returns {Promise<ActiveEffect5e[]>}                     Effects that were deleted.
+   * @protected
+   */
+  async _promptEffectExpiration(expired) {
+    const effects = [];
+    const list = Array.from(expired.entries()).map(([actor, actorEffects]) => `<h4>${actor.name}</h4><ul>${
+      Array.from(actorEffects).map(effect => `<li><label class="checkbox">
+        <input type="checkbox" name="expire" value="${effects.push(effect) - 1}" checked> ${effect.name}
+      </label></li>`).join("")
+    }</ul>`).join("");
+    const selected = await Dialog.confirm({
+      title: game.i18n.localize("DND5E.Combat.Expiration.Title"),
+      content: `<p>${game.i18n.localize("DND5E.Combat.Expiration.Prompt")}</p>${list}`,
+      yes: html => Array.from(html[0].querySelectorAll('[name="expire"]:checked'), i => effects[Number(i.value)])
+    });
+    if ( !selected ) return [];
+
+    const deleted = [];
+    for ( const effect of selected ) {
+      if ( effect.parent?.effects.has(effect.id) ) deleted.push(await effect.delete());
+    }
+    return deleted.filter(_ => _);
+  }
+}
@@ -1,15 +1,174 @@
+import { formatNumber } from "../utils.mjs";
+
 /**
  * Custom combatant with custom initiative roll handling.
  */
 export default class Combatant5e extends Combatant {
+
+  /**
+   * Is this combatant the lair action step for a creature with lair actions?
+   * @type {boolean}
+   */
+  get isLairAction() {
+    return !!this.getFlag("dnd5e", "lairAction");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Does this combatant's actor have lair actions that should be added to the turn order?
+   * @type {boolean}
+   */
+  get hasLairActions() {
+    return !this.isLairAction && !!this.actor?.system.resources?.lair?.value;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Combatant for the rider controlling this combatant's creature as a mount, if any.
+   * @type {Combatant5e|null}
+   */
+  get controllingRider() {
+    if ( this.isLairAction ) return null;
+    const rider = this.token?.riders.find(r => r.getFlag("dnd5e", "mount.controlled"));
+    return (rider && this.parent?.getCombatantByToken(rider.id)) || null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Combatant for the controlled mount this combatant's creature is riding, if any.
+   * @type {Combatant5e|null}
+   */
+  get controlledMount() {
+    if ( this.isLairAction || !this.token?.getFlag("dnd5e", "mount.controlled") ) return null;
+    const mount = this.token.mount;
+    return (mount && this.parent?.getCombatantByToken(mount.id)) || null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Combatant for the creature that summoned this combatant's creature, if any.
+   * @type {Combatant5e|null}
+   */
+  get summoner() {
+    const id = this.getFlag("dnd5e", "summon.summoner");
+    return (id && this.parent?.combatants.get(id)) || null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Combatants for creatures summoned by this combatant's creature.
+   * @type {Combatant5e[]}
+   */
+  get summons() {
+    return this.parent?.combatants.filter(c => c.summoner === this) ?? [];
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Actions spent by this combatant since the start of its most recent turn.
+   *
+   * @typedef {object} ActionEconomyData
+   * @property {boolean} action    Has the action been spent?
+   * @property {boolean} bonus     Has the bonus action been spent?
+   * @property {boolean} reaction  Has the reaction been spent?
+   * @property {number} movement   Movement spent this turn, including any additional cost from penalties.
+   * @property {number} dash       Number of times the Dash action has been taken this turn.
+   */
+
+  /**
+   * Actions, bonus actions, reactions, and movement spent by this combatant this turn.
+   * @type {ActionEconomyData}
+   */
+  get actionEconomy() {
+    const spent = this.getFlag("dnd5e", "actionEconomy") ?? {};
+    return {
+      ...Object.fromEntries(Object.keys(CONFIG.DND5E.actionEconomy).map(k => [k, !!spent[k]])),
+      movement: spent.movement ?? 0,
+      dash: spent.dash ?? 0
+    };
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Movement type currently used by this combatant, based on its flying or burrowing status.
+   * @type {string}
+   */
+  get movementMode() {
+    const statuses = this.actor?.statuses;
+    if ( statuses?.has(CONFIG.specialStatusEffects.FLY) ) return "fly";
+    if ( statuses?.has(CONFIG.specialStatusEffects.BURROW) ) return "burrow";
+    return "walk";
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Total movement available to this combatant this turn, including any Dash actions taken.
+   * @type {number}
+   */
+  get movementBudget() {
+    const actor = this.actor;
+    if ( !actor || actor.hasConditionEffect("noMovement") ) return 0;
+    const speed = actor.system.attributes?.movement?.[this.movementMode] ?? 0;
+    return speed * (1 + this.actionEconomy.dash);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Is this combatant currently moving through difficult terrain?
+   * @type {boolean}
+   */
+  get inDifficultTerrain() {
+    return !!this.getFlag("dnd5e", "difficultTerrain");
+  }
+
+  /* -------------------------------------------- */
+  /*  Methods                                     */
+  /* -------------------------------------------- */
+
   /** @override */
   getInitiativeRoll(formula) {
+    if ( this.isLairAction ) return new Roll(String(this.initiative ?? this._getLairInitiative()));
+    const rider = this.controllingRider;
+    if ( Number.isFinite(rider?.initiative) ) return new Roll(String(rider.initiative));
     if ( !this.actor ) return new CONFIG.Dice.D20Roll(formula ?? "1d20", {});
     return this.actor.getInitiativeRoll();
   }
 
   /* -------------------------------------------- */
 
+  /**
+   * Initiative count on which this combatant's lair actions take place.
+   * @returns {number}
+   * @protected
+   */
+  _getLairInitiative() {
+    return this.actor?.system.resources?.lair?.initiative ?? 20;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Does the provided combatant represent the same creature as this one? Unlinked tokens of the same actor are
+   * considered the same creature, as lair actions belong to the creature rather than to any one token.
+   * @param {Combatant5e} other  Combatant to compare.
+   * @returns {boolean}
+   * @protected
+   */
+  _isSameCreature(other) {
+    return !!this.actorId && (other.actorId === this.actorId);
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Trigger this combatant's dynamic token to refresh.
    */
@@ -22,8 +181,455 @@ export default class Combatant5e extends Combatant {
 
   /* -------------------------------------------- */
 
+  /**
+   * Spend one of this combatant's actions for the turn. If it has already been spent, a warning is displayed and,
+   * depending on the world setting, the action may be prevented.
+   * @param {string} type  Activation type to spend, as defined in `CONFIG.DND5E.actionEconomy`.
+   * @returns {Promise<boolean>}  Returns `false` if the action could not be spent.
+   */
+  async spendAction(type) {
+    const mode = game.settings.get("dnd5e", "actionEconomy");
+    if ( (mode === "off") || !(type in CONFIG.DND5E.actionEconomy) || this.isLairAction ) return true;
+
+    if ( this.actionEconomy[type] ) {
+      const action = CONFIG.DND5E.actionEconomy[type].label;
+      const blocked = mode === "block";
+      ui.notifications.warn(game.i18n.format(`DND5E.ActionEconomy.Warning.${blocked ? "Blocked" : "Spent"}`, {
+        name: this.name, action
+      }));
+      return !blocked;
+    }
+
+    /**
+     * A hook event that fires before a combatant spends one of its actions.
+     * @function dnd5e.preSpendAction
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant spending the action.
+     * @param {string} type            Type of action being spent.
+     * @returns {boolean}              Explicitly return `false` to prevent the action from being tracked.
+     */
+    if ( Hooks.call("dnd5e.preSpendAction", this, type) === false ) return true;
+
+    await this.setFlag("dnd5e", `actionEconomy.${type}`, true);
+
+    /**
+     * A hook event that fires after a combatant has spent one of its actions.
+     * @function dnd5e.spendAction
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant that spent the action.
+     * @param {string} type            Type of action that was spent.
+     */
+    Hooks.callAll("dnd5e.spendAction", this, type);
+
+    return true;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Toggle whether one of this combatant's actions has been spent this turn.
+   * @param {string} type  Activation type to toggle, as defined in `CONFIG.DND5E.actionEconomy`.
+   * @returns {Promise<Combatant5e>}
+   */
+  async toggleAction(type) {
+    if ( !(type in CONFIG.DND5E.actionEconomy) ) return this;
+    return this.setFlag("dnd5e", `actionEconomy.${type}`, !this.actionEconomy[type]);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Take the Dash action, spending an action and gaining additional movement equal to this combatant's speed.
+   * @param {object} [options]
+   * @param {string} [options.action="action"]  Type of action spent to Dash.
+   * @returns {Promise<Combatant5e|void>}
+   */
+  async dash({ action="action" }={}) {
+    if ( (await this.spendAction(action)) === false ) return;
+    return this.setFlag("dnd5e", "actionEconomy.dash", this.actionEconomy.dash + 1);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Calculate how much of this combatant's movement is spent by moving the provided distance, accounting for
+   * difficult terrain and crawling.
+   * @param {number} distance  Distance moved.
+   * @returns {number}
+   */
+  getMovementCost(distance) {
+    const penalties = CONFIG.DND5E.movementPenalties;
+    let multiplier = 1;
+    if ( this.inDifficultTerrain ) multiplier += penalties.difficultTerrain ?? 0;
+    if ( this.actor?.hasConditionEffect("crawl") ) multiplier += penalties.crawl ?? 0;
+    return distance * multiplier;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Toggle whether this combatant is moving through difficult terrain.
+   * @returns {Promise<Combatant5e>}
+   */
+  async toggleDifficultTerrain() {
+    return this.setFlag("dnd5e", "difficultTerrain", !this.inDifficultTerrain);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Restore all of this combatant's actions and movement at the start of its turn.
+   * @returns {Promise<Combatant5e>}
+   */
+  async resetActionEconomy() {
+    if ( !this.getFlag("dnd5e", "actionEconomy") ) return this;
+    return this.unsetFlag("dnd5e", "actionEconomy");
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Render this combatant's action economy and movement for display in the combat tracker or token HUD. Actions are
+   * only included if action economy is tracked, and movement if it is tracked or has been spent.
+   * @returns {Promise<HTMLElement|null>}  The rendered element, or `null` if neither is tracked.
+   */
+  async renderActionEconomy() {
+    const economy = game.settings.get("dnd5e", "actionEconomy") !== "off";
+    const tracking = game.settings.get("dnd5e", "movementTracking") !== "off";
+    if ( (!economy && !tracking) || this.isLairAction ) return null;
+    const spent = this.actionEconomy;
+    const units = this.actor?.system.attributes?.movement?.units ?? "ft";
+    const context = {
+      combatant: this,
+      editable: this.isOwner,
+      actions: economy ? Object.entries(CONFIG.DND5E.actionEconomy).map(([key, { label, icon }]) => ({
+        key, icon, spent: spent[key],
+        tooltip: game.i18n.format(`DND5E.ActionEconomy.${spent[key] ? "Spent" : "Available"}`, { action: label })
+      })) : [],
+      movement: (tracking || spent.movement) ? {
+        label: `${formatNumber(spent.movement)}${tracking ? ` / ${formatNumber(this.movementBudget)}` : ""} ${
+          CONFIG.DND5E.movementUnits[units] ?? units}`,
+        exceeded: tracking && (spent.movement > this.movementBudget),
+        dash: spent.dash,
+        difficultTerrain: this.inDifficultTerrain
+      } : null
+    };
+    const div = document.createElement("div");
+    div.innerHTML = await renderTemplate("systems/dnd5e/templates/combat/action-economy.hbs", context);
+    const element = div.firstElementChild;
+    element.querySelectorAll("[data-action]").forEach(a => a.addEventListener("click", event => {
+      event.preventDefault();
+      event.stopPropagation();
+      if ( !this.isOwner ) return;
+      switch ( a.dataset.action ) {
+        case "dash": return this.dash();
+        case "difficultTerrain": return this.toggleDifficultTerrain();
+        case "toggleActionEconomy": return this.toggleAction(a.dataset.type);
+      }
+    }));
+    return element;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Restore this combatant's legendary actions to their maximum.
+   * @returns {Promise<Actor5e|void>}
+   */
+  async recoverLegendaryActions() {
+    const legact = this.actor?.system.resources?.legact;
+    if ( !legact?.max || (legact.value >= legact.max) ) return;
+    const updates = { "system.resources.legact.value": legact.max };
+
+    /**
+     * A hook event that fires before legendary actions are recovered at the start of a combatant's turn.
+     * @function dnd5e.preRecoverLegendaryActions
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant whose legendary actions are being recovered.
+     * @param {object} updates         Updates that will be applied to the actor.
+     * @returns {boolean}              Explicitly return `false` to prevent the legendary actions being recovered.
+     */
+    if ( Hooks.call("dnd5e.preRecoverLegendaryActions", this, updates) === false ) return;
+
+    await this.actor.update(updates);
+
+    /**
+     * A hook event that fires after legendary actions have been recovered at the start of a combatant's turn.
+     * @function dnd5e.recoverLegendaryActions
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant whose legendary actions were recovered.
+     * @param {object} updates         Updates that were applied to the actor.
+     */
+    Hooks.callAll("dnd5e.recoverLegendaryActions", this, updates);
+
+    return this.actor;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Recover limited uses on this combatant's items that recharge during the provided combat periods.
+   * @param {string[]} periods          Limited use periods to recover, as defined in `DND5E.limitedUsePeriods`.
+   * @returns {Promise<Item5e[]|void>}  Items that were updated.
+   */
+  async recoverCombatUses(periods) {
+    const actor = this.actor;
+    if ( !actor ) return;
+    const updates = actor.items.reduce((arr, item) => {
+      const uses = item.system.uses;
+      if ( periods.includes(uses?.per) && (uses.value < uses.max) ) {
+        arr.push({ _id: item.id, "system.uses.value": uses.max });
+      }
+      return arr;
+    }, []);
+
+    /**
+     * A hook event that fires before item uses are recovered during combat.
+     * @function dnd5e.preCombatRecovery
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant whose items are recovering uses.
+     * @param {string[]} periods       Limited use periods being recovered.
+     * @param {object[]} updates       Item updates that will be performed.
+     * @returns {boolean}              Explicitly return `false` to prevent the uses from being recovered.
+     */
+    if ( Hooks.call("dnd5e.preCombatRecovery", this, periods, updates) === false ) return;
+    if ( !updates.length ) return [];
+
+    const items = await actor.updateEmbeddedDocuments("Item", updates);
+
+    /**
+     * A hook event that fires after item uses have been recovered during combat.
+     * @function dnd5e.combatRecovery
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant whose items recovered uses.
+     * @param {string[]} periods       Limited use periods that were recovered.
+     * @param {Item5e[]} items         Items that were updated.
+     */
+    Hooks.callAll("dnd5e.combatRecovery", this, periods, items);
+
+    return items;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Roll recharge for all of this combatant's items that have a recharge value and are not currently charged,
+   * posting the results as a single chat message.
+   * @param {object} [options]
+   * @param {string} [options.mode]  Override the "auto", "prompt", or "off" mode configured for the actor or world.
+   * @returns {Promise<ChatMessage5e|void>}
+   */
+  async rollRecharges({ mode }={}) {
+    const actor = this.actor;
+    if ( !actor ) return;
+    mode ??= actor.getFlag("dnd5e", "autoRecharge") || game.settings.get("dnd5e", "autoRecharge");
+    if ( mode === "off" ) return;
+
+    const items = actor.items.filter(i => i.system.recharge?.value && !i.system.recharge.charged);
+    if ( !items.length ) return;
+
+    /**
+     * A hook event that fires before recharge is automatically rolled for a combatant's items.
+     * @function dnd5e.preCombatRecharge
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant whose items will be recharged.
+     * @param {Item5e[]} items         Items that will be rolled.
+     * @returns {boolean}              Explicitly return `false` to prevent the recharge rolls.
+     */
+    if ( Hooks.call("dnd5e.preCombatRecharge", this, items) === false ) return;
+
+    if ( mode === "prompt" ) {
+      const confirmed = await Dialog.confirm({
+        title: game.i18n.localize("DND5E.Combat.Recharge.Title"),
+        content: `<p>${game.i18n.format("DND5E.Combat.Recharge.Prompt", {
+          name: actor.name, items: game.i18n.getListFormatter().format(items.map(i => i.name))
+        })}</p>`
+      });
+      if ( !confirmed ) return;
+    }
+
+    const results = [];
+    for ( const item of items ) {
+      const roll = await item.rollRecharge({ chatMessage: false });
+      if ( roll ) results.push({ item, roll, success: roll.total >= parseInt(item.system.recharge.value) });
+    }
+    if ( !results.length ) return;
+
+    const messageData = {
+      content: await renderTemplate("systems/dnd5e/templates/chat/recharge-card.hbs", { actor, results }),
+      rolls: results.map(r => r.roll),
+      speaker: ChatMessage.implementation.getSpeaker({ actor, token: this.token }),
+      "flags.dnd5e.roll": { type: "recharge" }
+    };
+    ChatMessage.applyRollMode(messageData, actor.hasPlayerOwner ? "roll" : "gmroll");
+    const message = await ChatMessage.implementation.create(messageData);
+
+    /**
+     * A hook event that fires after recharge has been automatically rolled for a combatant's items.
+     * @function dnd5e.combatRecharge
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant whose items were recharged.
+     * @param {object[]} results       Roll results for each item, with `item`, `roll`, and `success` properties.
+     * @param {ChatMessage5e} message  The created chat message.
+     */
+    Hooks.callAll("dnd5e.combatRecharge", this, results, message);
+
+    return message;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Request or roll a death saving throw for this combatant if it is dying.
+   * @param {object} [options]
+   * @param {string} [options.mode]  Override the "request", "roll", or "none" mode configured for the world.
+   * @returns {Promise<ChatMessage5e|D20Roll|void>}  The request message or the rolled saving throw.
+   */
+  async rollDeathSave({ mode }={}) {
+    const actor = this.actor;
+    const { death, hp } = actor?.system.attributes ?? {};
+    if ( !death || !hp?.max || (hp.value > 0) || (death.failure >= 3) || (death.success >= 3) ) return;
+    if ( actor.statuses.has("stable") || actor.statuses.has(CONFIG.DND5E.deathStatus) ) return;
+    mode ??= game.settings.get("dnd5e", "deathSaveAutomation");
+    if ( mode === "none" ) return;
+
+    /**
+     * A hook event that fires before a death saving throw is automatically requested or rolled for a combatant.
+     * @function dnd5e.preCombatDeathSave
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant who must make a death saving throw.
+     * @param {string} mode            Whether the saving throw will be requested or rolled.
+     * @returns {boolean}              Explicitly return `false` to prevent the death saving throw.
+     */
+    if ( Hooks.call("dnd5e.preCombatDeathSave", this, mode) === false ) return;
+
+    let result;
+    if ( mode === "roll" ) result = await actor.rollDeathSave({ fastForward: true });
+    else {
+      const dataset = { action: "rollRequest", type: "death" };
+      const label = `<i class="fas fa-skull" inert></i> ${game.i18n.localize("DND5E.DeathSavingThrow")}`;
+      result = await ChatMessage.implementation.create({
+        content: await renderTemplate("systems/dnd5e/templates/chat/request-card.hbs", {
+          dataset, buttonLabel: label, hiddenLabel: label
+        }),
+        flavor: game.i18n.format("DND5E.DeathSaveRequest", { name: actor.name }),
+        whisper: game.users.filter(user => actor.testUserPermission(user, "OWNER")),
+        speaker: ChatMessage.implementation.getSpeaker({ actor, token: this.token })
+      });
+    }
+
+    /**
+     * A hook event that fires after a death saving throw has been automatically requested or rolled for a combatant.
+     * @function dnd5e.combatDeathSave
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant             Combatant who must make a death saving throw.
+     * @param {ChatMessage5e|D20Roll|null} result  The request message or the rolled saving throw.
+     */
+    Hooks.callAll("dnd5e.combatDeathSave", this, result ?? null);
+
+    return result;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Post a chat message prompting the owners of this lair to choose one of its lair actions.
+   * @returns {Promise<ChatMessage5e|void>}
+   */
+  async triggerLairAction() {
+    const actor = this.actor;
+    if ( !actor ) return;
+    const items = actor.items.filter(i => i.system.activation?.type === "lair");
+    const messageData = {
+      content: await renderTemplate("systems/dnd5e/templates/chat/lair-action-card.hbs", {
+        actor,
+        items: items.map(item => ({ anchor: item.toAnchor().outerHTML, item }))
+      }),
+      whisper: game.users.filter(user => actor.testUserPermission(user, "OWNER")),
+      speaker: ChatMessage.implementation.getSpeaker({ actor, token: this.token }),
+      "flags.dnd5e.lairAction": { combatantId: this.id }
+    };
+
+    /**
+     * A hook event that fires before a lair action prompt is posted to chat.
+     * @function dnd5e.preLairAction
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant representing the lair action step.
+     * @param {Item5e[]} items         Lair action items available to the creature.
+     * @param {object} messageData     Data used to create the chat message.
+     * @returns {boolean}              Explicitly return `false` to prevent the prompt from being posted.
+     */
+    if ( Hooks.call("dnd5e.preLairAction", this, items, messageData) === false ) return;
+
+    const message = await ChatMessage.implementation.create(messageData);
+
+    /**
+     * A hook event that fires after a lair action prompt has been posted to chat.
+     * @function dnd5e.lairAction
+     * @memberof hookEvents
+     * @param {Combatant5e} combatant  Combatant representing the lair action step.
+     * @param {Item5e[]} items         Lair action items available to the creature.
+     * @param {ChatMessage5e} message  The created chat message.
+     */
+    Hooks.callAll("dnd5e.lairAction", this, items, message);
+
+    return message;
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Handlers                              */
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onCreate(data, options, userId) {
+    super._onCreate(data, options, userId);
+    if ( (userId !== game.user.id) || !this.hasLairActions ) return;
+    const exists = this.parent.combatants.some(c => c.isLairAction && this._isSameCreature(c));
+    if ( exists ) return;
+    this.parent.createEmbeddedDocuments("Combatant", [{
+      tokenId: this.tokenId,
+      sceneId: this.sceneId,
+      actorId: this.actorId,
+      hidden: this.hidden,
+      name: game.i18n.format("DND5E.Combat.LairAction.Name", { name: this.name }),
+      initiative: this._getLairInitiative(),
+      "flags.dnd5e.lairAction": true
+    }]).catch(err => Hooks.onError("Combatant5e#_onCreate", err, { log: "error", notify: "error" }));
+  }
+
+  /* -------------------------------------------- */
+
+  /** @inheritDoc */
+  _onUpdate(changed, options, userId) {
+    super._onUpdate(changed, options, userId);
+    if ( foundry.utils.hasProperty(changed, "flags.dnd5e") && (canvas.hud?.token?.object?.document === this.token) ) {
+      canvas.hud.token.render();
+    }
+    if ( !("initiative" in changed) || (userId !== game.user.id) ) return;
+
+    // Controlled mounts act on their rider's initiative
+    const mount = this.controlledMount;
+    if ( mount?.isOwner && (mount.initiative !== this.initiative) ) mount.update({ initiative: this.initiative });
+
+    // Summons sharing their summoner's initiative act on the same count
+    const updates = this.summons.filter(c => {
+      return c.isOwner && c.getFlag("dnd5e", "summon.sharedInitiative") && (c.initiative !== this.initiative);
+    }).map(c => ({ _id: c.id, initiative: this.initiative }));
+    if ( updates.length ) this.parent.updateEmbeddedDocuments("Combatant", updates);
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritDoc */
   _onDelete(options, userId) {
     requestAnimationFrame(() => this.refreshDynamicRing());
+    if ( (userId !== game.user.id) || this.isLairAction || !this.parent ) return;
+
+    // Remove the lair action step once no combatants for this creature remain
+    const remaining = this.parent.combatants.filter(c => (c !== this) && this._isSameCreature(c));
+    if ( remaining.some(c => !c.isLairAction) ) return;
+    const ids = remaining.map(c => c.id);
+    if ( ids.length ) this.parent.deleteEmbeddedDocuments("Combatant", ids)
+      .catch(err => Hooks.onError("Combatant5e#_onDelete", err, { log: "error", notify: "error" }));
   }
 }
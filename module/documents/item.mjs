@@ -8,7 +8,7 @@ import { EnchantmentData } from "../data/item/fields/enchantment-field.mjs";
 import PhysicalItemTemplate from "../data/item/templates/physical-item.mjs";
 import {d20Roll, damageRoll} from "../dice/dice.mjs";
 import simplifyRollFormula from "../dice/simplify-roll-formula.mjs";
-import { getSceneTargets } from "../utils.mjs";
+import { formatNumber, getSceneTargets } from "../utils.mjs";
 import Advancement from "./advancement/advancement.mjs";
 import AbilityUseDialog from "../applications/item/ability-use-dialog.mjs";
 import Proficiency from "./actor/proficiency.mjs";
@@ -384,6 +384,9 @@ export default class Item5e extends SystemDocumentMixin(Item) {
    * @property {string|null} progression  Progression within the specified spellcasting type if supported.
    * @property {string} ability           Ability used when casting spells from this class or subclass.
    * @property {number|null} levels       Number of levels of this class or subclass's class if embedded.
+   * @property {number} [mod]             Spellcasting ability modifier if embedded.
+   * @property {number} [dc]              Spell save DC for spells cast through this class if embedded.
+   * @property {number} [attack]          Spell attack bonus, excluding attack-type bonuses, if embedded.
    */
 
   /**
@@ -404,6 +407,14 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     if ( !finalSC ) return null;
     finalSC.levels = this.isEmbedded ? (this.system.levels ?? this.class?.system.levels) : null;
 
+    // Spellcasting values specific to this class's ability
+    const ability = this.isEmbedded ? this.actor.system.abilities?.[finalSC.ability] : null;
+    if ( ability ) {
+      finalSC.mod = ability.mod;
+      finalSC.dc = ability.dc;
+      finalSC.attack = ability.mod + (this.actor.system.attributes.prof ?? 0);
+    }
+
     // Temp method for determining spellcasting type until this data is available directly using advancement
     if ( CONFIG.DND5E.spellcastingTypes[finalSC.progression] ) finalSC.type = finalSC.progression;
     else finalSC.type = Object.entries(CONFIG.DND5E.spellcastingTypes).find(([type, data]) => {
@@ -742,9 +753,10 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     if ( !this.hasSave ) return null;
     const save = this.system.save;
 
-    // Actor spell-DC based scaling
+    // Actor spell-DC based scaling, using the DC of the class through which the spell is cast if available
     if ( save.scaling === "spell" ) {
-      save.dc = this.isOwned ? this.actor.system.attributes.spelldc : null;
+      save.dc = this.isOwned
+        ? this.system.spellcastingClass?.spellcasting?.dc ?? this.actor.system.attributes.spelldc : null;
     }
 
     // Ability-score based scaling
@@ -856,10 +868,12 @@ export default class Item5e extends SystemDocumentMixin(Item) {
    * Configuration data for an item usage being prepared.
    *
    * @typedef {object} ItemUseConfiguration
+   * @property {boolean} castAsRitual               Should this item (a spell) be cast as a ritual?
    * @property {boolean} createMeasuredTemplate     Should this item create a template?
    * @property {boolean} createSummons              Should this item create a summoned creature?
    * @property {boolean} consumeResource            Should this item consume a (non-ammo) resource?
    * @property {boolean} consumeSpellSlot           Should this item (a spell) consume a spell slot?
+   * @property {boolean} consumeMaterials           Should this item (a spell) consume its costly material components?
    * @property {boolean} consumeUsage               Should this item consume its limited uses or recharge?
    * @property {string} enchantmentProfile          ID of the enchantment to apply.
    * @property {boolean} promptEnchantment          Does an enchantment profile need to be selected?
@@ -939,8 +953,15 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       foundry.utils.setProperty(options.flags, "dnd5e.use.enchantmentProfile", config.enchantmentProfile);
     }
 
+    // Ritual casting doesn't expend a spell slot, so the spell cannot be upcast
+    if ( config.castAsRitual ) {
+      config.consumeSpellSlot = false;
+      config.slotLevel = null;
+      foundry.utils.setProperty(options.flags, "dnd5e.use.castAsRitual", true);
+    }
+
     // Handle upcasting
-    if ( item.type === "spell" ) {
+    if ( (item.type === "spell") && !config.castAsRitual ) {
       let level = null;
       if ( config.resourceAmount in as.spells ) config.slotLevel = config.resourceAmount;
       if ( config.slotLevel ) {
@@ -961,6 +982,13 @@ export default class Item5e extends SystemDocumentMixin(Item) {
         item.prepareFinalAttributes();
       }
     }
+
+    // Casting a spell as a ritual takes 10 minutes longer than normal
+    if ( config.castAsRitual ) {
+      item = item.clone({"system.activation": item.system.ritualActivation}, {keepId: true});
+      item.prepareData();
+      item.prepareFinalAttributes();
+    }
     if ( item.type === "spell" ) foundry.utils.mergeObject(options.flags, {"dnd5e.use.spellLevel": item.system.level});
 
     // Calculate and consume item consumption
@@ -1052,6 +1080,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     if ( config.consumeUsage ) foundry.utils.setProperty(options.flags, "dnd5e.use.consumedUsage", true);
     if ( config.consumeResource ) foundry.utils.setProperty(options.flags, "dnd5e.use.consumedResource", true);
     if ( config.consumeSpellSlot ) foundry.utils.setProperty(options.flags, "dnd5e.use.consumedSpellSlot", true);
+    if ( config.consumeMaterials ) foundry.utils.setProperty(options.flags, "dnd5e.use.consumedMaterials", true);
 
     /**
      * A hook event that fires after an item's resource consumption has been calculated but before any
@@ -1070,6 +1099,15 @@ export default class Item5e extends SystemDocumentMixin(Item) {
      */
     if ( Hooks.call("dnd5e.itemUsageConsumption", item, config, options, usage) === false ) return false;
 
+    // Spend the matching action for the actor's combatant in the current combat
+    let combatant;
+    if ( game.combat?.started ) {
+      // TODO: Remove when v11 support is dropped.
+      if ( game.release.generation < 12 ) combatant = game.combat.getCombatantByActor(this.actor);
+      else combatant = game.combat.getCombatantsByActor(this.actor)[0];
+    }
+    if ( (await combatant?.spendAction(item.system.activation?.type)) === false ) return false;
+
     // Commit pending data updates
     const { actorUpdates, itemUpdates, resourceUpdates, deleteIds } = usage;
     if ( !foundry.utils.isEmpty(itemUpdates) ) await item.update(itemUpdates);
@@ -1088,10 +1126,12 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     const { consume, uses, summons, target, level, preparation } = this.system;
 
     const config = {
+      castAsRitual: null,
       createMeasuredTemplate: null,
       createSummons: null,
       consumeResource: null,
       consumeSpellSlot: null,
+      consumeMaterials: null,
       consumeUsage: null,
       enchantmentProfile: null,
       promptEnchantment: null,
@@ -1110,6 +1150,10 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     } else if ( scaling === "resource" ) {
       config.resourceAmount = consume.amount || 1;
     }
+    if ( this.type === "spell" ) {
+      if ( this.system.properties.has("ritual") ) config.castAsRitual = preparation.mode === "ritual";
+      if ( this.system.hasCostlyMaterials && this.system.materials.consumed ) config.consumeMaterials = true;
+    }
     if ( this.hasLimitedUses ) config.consumeUsage = uses.prompt;
     if ( this.hasResource ) {
       config.consumeResource = true;
@@ -1186,6 +1230,12 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       actorUpdates[`system.spells.${config.slotLevel}.value`] = Math.max(spells - 1, 0);
     }
 
+    // Ensure the spell's components can be provided, consuming costly materials if necessary
+    if ( this.type === "spell" ) {
+      const canCast = this._handleSpellComponents(config, itemUpdates, actorUpdates, resourceUpdates, deleteIds);
+      if ( canCast === false ) return false;
+    }
+
     // Determine whether the item can be used by testing for available concentration.
     if ( config.beginConcentrating ) {
       const { effects } = this.actor.concentration;
@@ -1261,6 +1311,53 @@ export default class Item5e extends SystemDocumentMixin(Item) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Verify that the actor can provide a spell's components, and prepare updates to consume any costly material
+   * components. Material components are only verified for player characters.
+   * @param {ItemUseConfiguration} config  Configuration data for an item usage being prepared.
+   * @param {object} itemUpdates           An object of data updates applied to this item
+   * @param {object} actorUpdates          An object of data updates applied to the item owner (Actor)
+   * @param {object[]} resourceUpdates     An array of updates to apply to other items owned by the actor
+   * @param {Set<string>} deleteIds        A set of item ids that will be deleted off the actor
+   * @returns {boolean|void}               Return false to block further progress, or return nothing to continue
+   * @protected
+   */
+  _handleSpellComponents(config, itemUpdates, actorUpdates, resourceUpdates, deleteIds) {
+    const blocked = this.system.blockedComponents;
+    if ( blocked.size ) {
+      const components = new Intl.ListFormat(game.i18n.lang, { style: "long", type: "conjunction" })
+        .format(Array.from(blocked).map(c => CONFIG.DND5E.spellComponents[c]?.label ?? c));
+      ui.notifications.warn(game.i18n.format("DND5E.SpellCastComponentsBlocked", { name: this.name, components }));
+      return false;
+    }
+
+    if ( !this.system.hasCostlyMaterials || (this.actor.type !== "character") ) return;
+    const source = this.system.findMaterialSource();
+    if ( !source ) {
+      ui.notifications.warn(game.i18n.format("DND5E.SpellCastNoMaterials", {
+        name: this.name, cost: formatNumber(this.system.materials.cost)
+      }));
+      return false;
+    }
+    if ( !config.consumeMaterials ) return;
+
+    switch ( source.type ) {
+      case "supply":
+        itemUpdates["system.materials.supply"] = this.system.materials.supply - 1;
+        break;
+      case "item":
+        if ( source.item.system.quantity > 1 ) {
+          resourceUpdates.push({ _id: source.item.id, "system.quantity": source.item.system.quantity - 1 });
+        } else deleteIds.add(source.item.id);
+        break;
+      case "currency":
+        actorUpdates["system.currency"] = source.currency;
+        break;
+    }
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Handle update actions required when consuming an external resource
    * @param {ItemUseConfiguration} usageConfig  Configuration data for an item usage being prepared.
@@ -1395,7 +1492,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     const consumeResource = this.hasResource && !options.flags?.dnd5e?.use?.consumedResource;
     const hasButtons = this.hasAttack || this.hasDamage || this.isVersatile || this.hasSave || this.system.formula
       || this.hasAreaTarget || (this.type === "tool") || this.hasAbilityCheck || this.system.hasSummoning
-      || consumeUsage || consumeResource;
+      || consumeUsage || consumeResource || (this.type === "spell");
     const templateData = {
       hasButtons,
       actor: this.actor,
@@ -1647,11 +1744,9 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     }
 
     // Get roll data
-    const dmg = this.system.damage;
-    const properties = Array.from(this.system.properties).filter(p => CONFIG.DND5E.itemProperties[p]?.isPhysical);
-    const rollConfigs = dmg.parts.map(([formula, type]) => ({ parts: [formula], type, properties }));
     const rollData = this.getRollData();
     if ( spellLevel ) rollData.item.level = spellLevel;
+    const rollConfigs = this._getDamageRollConfigs({ spellLevel, originalLevel, scaling, versatile, rollData });
 
     // Configure the damage roll
     const actionFlavor = game.i18n.localize(this.system.actionType === "heal" ? "DND5E.Healing" : "DND5E.DamageRoll");
@@ -1677,38 +1772,8 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       }
     };
 
-    // Adjust damage from versatile usage
-    if ( versatile && dmg.versatile ) {
-      rollConfigs[0].parts[0] = dmg.versatile;
-      rollConfig.messageData["flags.dnd5e"].roll.versatile = true;
-    }
-
-    // Add magical damage if available
-    if ( this.system.magicalBonus && this.system.magicAvailable ) {
-      rollConfigs[0].parts.push(this.system.magicalBonus);
-    }
-
-    // Scale damage from up-casting spells
-    if ( (this.type === "spell") || scaling ) {
-      if ( scaling.mode === "cantrip" ) {
-        let level;
-        if ( this.actor.type === "character" ) level = this.actor.system.details.level;
-        else if ( this.system.preparation.mode === "innate" ) level = Math.ceil(this.actor.system.details.cr);
-        else level = this.actor.system.details.spellLevel;
-        rollConfigs.forEach(c => this._scaleCantripDamage(c.parts, scaling.formula, level, rollData));
-      }
-      else if ( spellLevel && (scaling.mode === "level") ) rollConfigs.forEach(c => {
-        if ( scaling.formula || c.parts.length ) {
-          this._scaleSpellDamage(c.parts, originalLevel, spellLevel, scaling.formula || c.parts[0], rollData);
-        }
-      });
-    }
-
-    // Add damage bonus formula
-    const actorBonus = foundry.utils.getProperty(this.actor.system, `bonuses.${this.system.actionType}`) || {};
-    if ( actorBonus.damage && (parseInt(actorBonus.damage) !== 0) ) {
-      rollConfigs[0].parts.push(actorBonus.damage);
-    }
+    // Flag versatile usage
+    if ( versatile && this.system.damage.versatile ) rollConfig.messageData["flags.dnd5e"].roll.versatile = true;
 
     // Only add the ammunition damage if the ammunition is a consumable with type 'ammo'
     const ammo = this.hasAmmo ? this.actor.items.get(this.system.consume.target) : null;
@@ -1763,6 +1828,111 @@ export default class Item5e extends SystemDocumentMixin(Item) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Assemble the damage parts for this item, including its magical bonus, the actor's damage bonus, and any scaling
+   * for the level at which a spell is cast.
+   * @param {object} options
+   * @param {number} [options.spellLevel]     Level at which the spell is being cast.
+   * @param {number} [options.originalLevel]  Base level of the spell.
+   * @param {object} [options.scaling]        Scaling configuration of the spell.
+   * @param {boolean} [options.versatile]     Use the versatile formula in place of the first damage part.
+   * @param {object} options.rollData         Roll data used to resolve the scaling formula.
+   * @returns {object[]}                      Damage roll configurations for each damage part.
+   * @protected
+   */
+  _getDamageRollConfigs({ spellLevel, originalLevel, scaling, versatile=false, rollData }) {
+    const dmg = this.system.damage;
+    const properties = Array.from(this.system.properties).filter(p => CONFIG.DND5E.itemProperties[p]?.isPhysical);
+    const rollConfigs = (dmg?.parts ?? []).map(([formula, type]) => ({ parts: [formula], type, properties }));
+    if ( !rollConfigs.length ) return rollConfigs;
+
+    // Adjust damage from versatile usage
+    if ( versatile && dmg.versatile ) rollConfigs[0].parts[0] = dmg.versatile;
+
+    // Add magical damage if available
+    if ( this.system.magicalBonus && this.system.magicAvailable ) {
+      rollConfigs[0].parts.push(this.system.magicalBonus);
+    }
+
+    // Scale damage from up-casting spells
+    this._applyDamageScaling(rollConfigs, { spellLevel, originalLevel, scaling, rollData });
+
+    // Add damage bonus formula
+    const actorBonus = foundry.utils.getProperty(this.actor.system, `bonuses.${this.system.actionType}`) || {};
+    if ( actorBonus.damage && (parseInt(actorBonus.damage) !== 0) ) {
+      rollConfigs[0].parts.push(actorBonus.damage);
+    }
+
+    return rollConfigs;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Scale the damage parts of a spell for the level at which it is cast, or for the caster's level for cantrips.
+   * @param {object[]} rollConfigs            Damage roll configurations whose parts will be scaled in place.
+   * @param {object} options
+   * @param {number} [options.spellLevel]     Level at which the spell is being cast.
+   * @param {number} [options.originalLevel]  Base level of the spell.
+   * @param {object} [options.scaling]        Scaling configuration of the spell.
+   * @param {object} options.rollData         Roll data used to resolve the scaling formula.
+   * @protected
+   */
+  _applyDamageScaling(rollConfigs, { spellLevel, originalLevel=this.system.level, scaling=this.system.scaling,
+    rollData }) {
+    if ( (this.type !== "spell") && !scaling ) return;
+    if ( scaling.mode === "cantrip" ) {
+      let level;
+      if ( this.actor.type === "character" ) level = this.actor.system.details.level;
+      else if ( this.system.preparation.mode === "innate" ) level = Math.ceil(this.actor.system.details.cr);
+      else level = this.actor.system.details.spellLevel;
+      rollConfigs.forEach(c => this._scaleCantripDamage(c.parts, scaling.formula, level, rollData));
+    }
+    else if ( spellLevel && (scaling.mode === "level") ) rollConfigs.forEach(c => {
+      if ( scaling.formula || c.parts.length ) {
+        this._scaleSpellDamage(c.parts, originalLevel, spellLevel, scaling.formula || c.parts[0], rollData);
+      }
+    });
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Details on the effects of casting a spell at a specific level.
+   *
+   * @typedef {object} SpellCastPreview
+   * @property {number} level                               Level at which the spell is cast.
+   * @property {{formula: string, type: string}[]} damage  Scaled damage or healing formulas and their type labels.
+   * @property {string} target                              Label for the spell's targets at this level.
+   * @property {string} duration                            Label for the spell's duration at this level.
+   */
+
+  /**
+   * Preview the damage, targets, and duration of this spell if it were cast at the provided level, using the same
+   * damage parts, bonuses, and scaling that are used when the spell is cast and its damage is rolled.
+   * @param {number} [level]     Level at which the spell would be cast, defaults to the spell's own level.
+   * @returns {SpellCastPreview}
+   */
+  getCastPreview(level=this.system.level) {
+    let item = this;
+    if ( level !== this.system.level ) {
+      item = this.clone({ "system.level": level }, { keepId: true });
+      item.prepareData();
+      item.prepareFinalAttributes();
+    }
+
+    const rollData = item.getRollData();
+    const rollConfigs = this._getDamageRollConfigs({ spellLevel: level, rollData });
+    const damage = rollConfigs.filter(c => c.parts[0]).map(({ parts, type }) => ({
+      formula: simplifyRollFormula(Roll.replaceFormulaData(parts.join(" + "), rollData), { preserveFlavor: true }),
+      type: CONFIG.DND5E.damageTypes[type]?.label ?? CONFIG.DND5E.healingTypes[type]?.label ?? ""
+    }));
+
+    return { level, damage, target: item.labels.target ?? "", duration: item.labels.duration ?? "" };
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Adjust a cantrip damage formula to scale it for higher level characters and monsters.
    * @param {string[]} parts   The original parts of the damage formula.
@@ -1889,9 +2059,11 @@ export default class Item5e extends SystemDocumentMixin(Item) {
 
   /**
    * Perform an ability recharge test for an item which uses the d6 recharge mechanic.
+   * @param {object} [options]
+   * @param {boolean} [options.chatMessage=true]  Should a chat message be created for this roll?
    * @returns {Promise<Roll>}   A Promise which resolves to the created Roll instance
    */
-  async rollRecharge() {
+  async rollRecharge({ chatMessage=true }={}) {
     const recharge = this.system.recharge ?? {};
     if ( !recharge.value ) return;
 
@@ -1899,7 +2071,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       formula: "1d6",
       data: this.getRollData(),
       target: parseInt(recharge.value),
-      chatMessage: true
+      chatMessage
     };
 
     /**
@@ -1938,7 +2110,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
     if ( Hooks.call("dnd5e.rollRecharge", this, roll) === false ) return roll;
 
     // Update the Item data
-    if ( success ) this.update({"system.recharge.charged": true});
+    if ( success ) await this.update({"system.recharge.charged": true});
 
     return roll;
   }
@@ -2027,7 +2199,7 @@ export default class Item5e extends SystemDocumentMixin(Item) {
       if ( !actor ) return;
 
       // Validate permission to proceed with the roll
-      const isTargetted = action === "save";
+      const isTargetted = ["save", "counter", "dispel"].includes(action);
       if ( !( isTargetted || game.user.isGM || actor.isOwner ) ) return;
 
       // Get the Item from stored flag data or by the item ID on the Actor
@@ -2081,6 +2253,10 @@ export default class Item5e extends SystemDocumentMixin(Item) {
         case "consumeResource":
           await item.consume(item, { consumeResource: true }, messageUpdates);
           break;
+        case "counter":
+        case "dispel":
+          await this._onChatCardSpellInteraction(message, item, action, spellLevel ?? item.system.level);
+          break;
         case "damage":
         case "versatile":
           await item.rollDamage({
@@ -2227,6 +2403,133 @@ export default class Item5e extends SystemDocumentMixin(Item) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Handle responding to a spell from a chat card by countering or dispelling it.
+   * @param {ChatMessage5e} message  The message for the spell being responded to.
+   * @param {Item5e} spell           The spell being responded to.
+   * @param {string} mode            Kind of interaction, as defined in `CONFIG.DND5E.spellInteractions`.
+   * @param {number} level           Level at which the spell was cast.
+   * @returns {Promise<ChatMessage5e|void>}  Message describing the result of the interaction.
+   */
+  static async _onChatCardSpellInteraction(message, spell, mode, level) {
+    const config = CONFIG.DND5E.spellInteractions[mode];
+    const actor = canvas.tokens?.controlled[0]?.actor ?? game.user.character;
+    if ( !config || !actor ) {
+      ui.notifications.warn("DND5E.SpellInteraction.Warning.NoActor", { localize: true });
+      return;
+    }
+    const response = actor.items.find(i => (i.type === "spell") && config.identifiers.has(i.identifier));
+    if ( !response ) {
+      ui.notifications.warn(game.i18n.format(`DND5E.SpellInteraction.${mode.capitalize()}.NoSpell`, {
+        name: actor.name
+      }));
+      return;
+    }
+
+    // Cast the responding spell to determine the level at which it is cast
+    const card = await response.use();
+    if ( !card ) return;
+    const responseLevel = foundry.utils.getProperty(card, "flags.dnd5e.use.spellLevel") ?? response.system.level;
+
+    /**
+     * A hook event that fires before a spell is countered or dispelled.
+     * @function dnd5e.preSpellInteraction
+     * @memberof hookEvents
+     * @param {Item5e} spell                     Spell being responded to.
+     * @param {Item5e} response                  Spell used to respond.
+     * @param {object} interaction
+     * @param {string} interaction.mode          Kind of interaction.
+     * @param {number} interaction.level         Level at which the original spell was cast.
+     * @param {number} interaction.responseLevel  Level at which the responding spell was cast.
+     * @returns {boolean}                        Explicitly return `false` to prevent the interaction from being
+     *                                           resolved.
+     */
+    const interaction = { mode, level, responseLevel };
+    if ( Hooks.call("dnd5e.preSpellInteraction", spell, response, interaction) === false ) return;
+
+    // Spells of a higher level than the response require an ability check
+    let success = responseLevel >= level;
+    if ( !success ) {
+      const dc = 10 + level;
+      const roll = await actor.rollAbilityTest(response.system.abilityMod ?? "int", {
+        targetValue: dc,
+        flavor: game.i18n.format("DND5E.SpellInteraction.Check", { spell: response.name, dc })
+      });
+      if ( !roll ) return;
+      success = roll.total >= dc;
+    }
+
+    const outcome = `DND5E.SpellInteraction.${mode.capitalize()}.${success ? "Success" : "Failure"}`;
+    const result = await ChatMessage.implementation.create({
+      content: `<p>${game.i18n.format(outcome, {
+        name: actor.name, spell: spell.name, level: CONFIG.DND5E.spellLevels[level]
+      })}</p>`,
+      flavor: config.label,
+      speaker: ChatMessage.implementation.getSpeaker({ actor }),
+      "flags.dnd5e.spellInteraction": { ...interaction, success, target: message.id }
+    });
+
+    /**
+     * A hook event that fires after a spell has been countered or dispelled.
+     * @function dnd5e.spellInteraction
+     * @memberof hookEvents
+     * @param {Item5e} spell                     Spell that was responded to.
+     * @param {Item5e} response                  Spell used to respond.
+     * @param {object} interaction
+     * @param {string} interaction.mode          Kind of interaction.
+     * @param {number} interaction.level         Level at which the original spell was cast.
+     * @param {number} interaction.responseLevel  Level at which the responding spell was cast.
+     * @param {boolean} interaction.success      Was the interaction successful?
+     */
+    Hooks.callAll("dnd5e.spellInteraction", spell, response, { ...interaction, success });
+
+    if ( success && (mode === "dispel") ) await this._dispelSpellEffects(spell);
+    return result;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Offer to remove active effects that were created by a spell that has been dispelled.
+   * @param {Item5e} spell  The dispelled spell.
+   * @returns {Promise<ActiveEffect5e[]|void>}  Effects that were removed.
+   */
+  static async _dispelSpellEffects(spell) {
+    const isFromSpell = uuid => uuid && ((uuid === spell.uuid) || uuid.startsWith(`${spell.uuid}.`));
+    const actors = new Set(game.actors);
+    for ( const token of canvas.scene?.tokens ?? [] ) {
+      if ( token.actor && !token.actorLink ) actors.add(token.actor);
+    }
+    const effects = [];
+    for ( const actor of actors ) {
+      for ( const effect of actor.effects ) {
+        const origin = effect.origin ? fromUuidSync(effect.origin, { strict: false }) : null;
+        if ( isFromSpell(effect.origin) || ((origin instanceof ActiveEffect) && isFromSpell(origin.origin)) ) {
+          effects.push(effect);
+        }
+      }
+    }
+    const removable = effects.filter(e => e.isOwner);
+    if ( !removable.length ) {
+      if ( effects.length ) ui.notifications.warn("DND5E.SpellInteraction.Warning.Ownership", { localize: true });
+      return;
+    }
+
+    const list = removable.map(e => `<li>${game.i18n.format("DND5E.SpellInteraction.Dispel.Entry", {
+      effect: e.name, actor: e.parent.name
+    })}</li>`).join("");
+    const confirmed = await Dialog.confirm({
+      title: game.i18n.format("DND5E.SpellInteraction.Dispel.Title", { spell: spell.name }),
+      content: `<p>${game.i18n.format("DND5E.SpellInteraction.Dispel.Prompt", { spell: spell.name })}</p>
+        <ul>${list}</ul>`
+    });
+    if ( !confirmed ) return;
+    for ( const effect of removable ) await effect.delete();
+    return removable;
+  }
+
+  /* -------------------------------------------- */
+
   /**
    * Handle toggling the visibility of chat card content when the name is clicked
    * @param {Event} event   The originating click event
@@ -1,5 +1,7 @@
+import { measureMovement } from "../canvas/grid.mjs";
 import { SummonsData } from "../data/item/fields/summons-field.mjs";
 import TokenSystemFlags from "../data/token/token-system-flags.mjs";
+import { formatNumber } from "../utils.mjs";
 import SystemFlagsMixin from "./mixins/flags.mjs";
 
 /**
@@ -22,6 +24,27 @@ export default class TokenDocument5e extends SystemFlagsMixin(TokenDocument) {
 
   /* -------------------------------------------- */
 
+  /**
+   * Token representing the creature this token's creature is riding, if any.
+   * @type {TokenDocument5e|null}
+   */
+  get mount() {
+    const id = this.getFlag("dnd5e", "mount.id");
+    return (id && this.parent?.tokens.get(id)) || null;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Tokens representing creatures currently riding this token's creature.
+   * @type {TokenDocument5e[]}
+   */
+  get riders() {
+    return this.parent?.tokens.filter(t => t.getFlag("dnd5e", "mount.id") === this.id) ?? [];
+  }
+
+  /* -------------------------------------------- */
+
   #subjectPath;
 
   /**
@@ -204,11 +227,258 @@ export default class TokenDocument5e extends SystemFlagsMixin(TokenDocument) {
 
   /* -------------------------------------------- */
 
+  /** @inheritDoc */
+  async _preUpdate(changed, options, user) {
+    if ( (await super._preUpdate(changed, options, user)) === false ) return false;
+    if ( !("x" in changed) && !("y" in changed) ) return;
+    if ( this._preUpdateMovement(changed, options, user) === false ) return false;
+
+    // A rider that moves on its own leaves its mount
+    if ( this.getFlag("dnd5e", "mount.id") && !options.dnd5e?.carried ) {
+      foundry.utils.setProperty(changed, "flags.dnd5e.-=mount", null);
+    }
+
+    // Record how far this token moved so any riders can follow
+    if ( this.riders.length ) foundry.utils.setProperty(options, "dnd5e.mountDelta", {
+      x: (changed.x ?? this.x) - this.x,
+      y: (changed.y ?? this.y) - this.y
+    });
+  }
+
+  /* -------------------------------------------- */
+
   /** @inheritDoc */
   _onUpdate(data, options, userId) {
     const textureChange = foundry.utils.hasProperty(data, "texture.src");
     if ( textureChange ) this.#subjectPath = undefined;
     super._onUpdate(data, options, userId);
+    if ( options.dnd5e?.mountDelta ) this._moveRiders(options.dnd5e.mountDelta, userId);
+    if ( options.dnd5e?.movement ) this._onUpdateMovement(options.dnd5e.movement, userId);
+  }
+
+  /* -------------------------------------------- */
+  /*  Movement Tracking                           */
+  /* -------------------------------------------- */
+
+  /**
+   * Description of a token's movement measured against its combatant's movement budget.
+   *
+   * @typedef {object} TokenMovementData
+   * @property {string} combatantId  ID of the combatant moving.
+   * @property {number} cost         Movement spent by this move.
+   * @property {number} moved        Total movement spent this turn, including this move.
+   * @property {number} budget       Total movement available this turn.
+   * @property {boolean} exceeded    Does this move exceed the available movement?
+   */
+
+  /**
+   * Measure a token's movement during combat against its combatant's remaining movement, preventing the movement if
+   * it exceeds the budget and the world is configured to do so.
+   * @param {object} changed  The differential data that is changed relative to the document's prior values.
+   * @param {object} options  Additional options which modify the update request.
+   * @param {User5e} user     The User requesting the document update.
+   * @returns {boolean|void}  Explicitly return `false` to prevent the movement.
+   * @protected
+   */
+  _preUpdateMovement(changed, options, user) {
+    const mode = game.settings.get("dnd5e", "movementTracking");
+    const combatant = this.combatant;
+    if ( (mode === "off") || options.dnd5e?.carried || options.teleport || !combatant?.parent?.started
+      || combatant.isLairAction || (canvas.scene !== this.parent) ) return;
+
+    const distance = measureMovement(this, { x: changed.x ?? this.x, y: changed.y ?? this.y });
+    const cost = combatant.getMovementCost(distance);
+    if ( !cost ) return;
+    const budget = combatant.movementBudget;
+    const moved = combatant.actionEconomy.movement + cost;
+    const movement = { combatantId: combatant.id, cost, moved, budget, exceeded: moved > budget };
+
+    /**
+     * A hook event that fires before a combatant's token movement is measured against its movement budget.
+     * @function dnd5e.preTrackMovement
+     * @memberof hookEvents
+     * @param {TokenDocument5e} token        Token being moved.
+     * @param {TokenMovementData} movement  Details of the movement.
+     * @returns {boolean}                    Explicitly return `false` to ignore this movement.
+     */
+    if ( Hooks.call("dnd5e.preTrackMovement", this, movement) === false ) return;
+
+    if ( movement.exceeded && (mode === "block") && !user.isGM ) {
+      ui.notifications.warn(this._getMovementWarning(movement));
+      return false;
+    }
+    foundry.utils.setProperty(options, "dnd5e.movement", movement);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Record movement spent by this token's combatant and warn the GM if it exceeded the budget.
+   * @param {TokenMovementData} movement  Details of the movement.
+   * @param {string} userId               ID of the user who moved this token.
+   * @protected
+   */
+  _onUpdateMovement(movement, userId) {
+    const combatant = game.combats.find(c => c.combatants.has(movement.combatantId))
+      ?.combatants.get(movement.combatantId);
+    if ( !combatant ) return;
+    if ( movement.exceeded && game.user.isGM ) ui.notifications.warn(this._getMovementWarning(movement));
+
+    // Movement is recorded by the user who moved the token if they can, otherwise by the active GM
+    const canRecord = combatant.canUserModify(game.users.get(userId), "update");
+    if ( canRecord ? (userId !== game.user.id) : (game.user !== game.users.activeGM) ) return;
+    combatant.setFlag("dnd5e", "actionEconomy.movement", movement.moved);
+
+    /**
+     * A hook event that fires after a combatant's token movement has been recorded against its movement budget.
+     * @function dnd5e.trackMovement
+     * @memberof hookEvents
+     * @param {TokenDocument5e} token        Token that moved.
+     * @param {TokenMovementData} movement  Details of the movement.
+     */
+    Hooks.callAll("dnd5e.trackMovement", this, movement);
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Prepare the warning displayed when a token's movement exceeds its budget.
+   * @param {TokenMovementData} movement  Details of the movement.
+   * @returns {string}
+   * @protected
+   */
+  _getMovementWarning({ moved, budget }) {
+    if ( !budget ) return game.i18n.format("DND5E.ActionEconomy.Warning.NoMovement", { name: this.name });
+    const units = this.actor?.system.attributes?.movement?.units ?? "ft";
+    return game.i18n.format("DND5E.ActionEconomy.Warning.Movement", {
+      name: this.name, moved: formatNumber(moved), speed: formatNumber(budget), units
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Mounted Combat                              */
+  /* -------------------------------------------- */
+
+  /**
+   * Mount this token's creature on another token's creature, moving it to the mount's position.
+   * @param {TokenDocument5e} mount               Token representing the creature to ride.
+   * @param {object} [options]
+   * @param {boolean} [options.controlled=true]  Is the mount controlled by the rider, sharing the rider's initiative?
+   * @returns {Promise<TokenDocument5e|void>}
+   */
+  async mountOn(mount, { controlled=true }={}) {
+    if ( (mount === this) || (mount?.parent !== this.parent) ) {
+      ui.notifications.warn("DND5E.Mount.Warning.Invalid", { localize: true });
+      return;
+    }
+    for ( let m = mount; m; m = m.mount ) {
+      if ( m !== this ) continue;
+      ui.notifications.warn("DND5E.Mount.Warning.Circular", { localize: true });
+      return;
+    }
+
+    const gridSize = this.parent.grid.size;
+    const config = {
+      controlled,
+      x: mount.x + (((mount.width - this.width) * gridSize) / 2),
+      y: mount.y + (((mount.height - this.height) * gridSize) / 2)
+    };
+
+    /**
+     * A hook event that fires before a creature mounts another creature.
+     * @function dnd5e.preMount
+     * @memberof hookEvents
+     * @param {TokenDocument5e} rider  Token of the creature mounting.
+     * @param {TokenDocument5e} mount  Token of the creature being mounted.
+     * @param {object} config          Whether the mount is controlled and the position the rider will be moved to.
+     * @returns {boolean}              Explicitly return `false` to prevent mounting.
+     */
+    if ( Hooks.call("dnd5e.preMount", this, mount, config) === false ) return;
+
+    await this.update({
+      x: config.x, y: config.y, "flags.dnd5e.mount": { id: mount.id, controlled: config.controlled }
+    }, { dnd5e: { carried: true } });
+
+    // Controlled mounts act on their rider's initiative
+    const riderCombatant = this.combatant;
+    const mountCombatant = mount.combatant;
+    if ( config.controlled && Number.isFinite(riderCombatant?.initiative) && mountCombatant?.isOwner ) {
+      await mountCombatant.update({ initiative: riderCombatant.initiative });
+    }
+
+    /**
+     * A hook event that fires after a creature has mounted another creature.
+     * @function dnd5e.mount
+     * @memberof hookEvents
+     * @param {TokenDocument5e} rider  Token of the creature that mounted.
+     * @param {TokenDocument5e} mount  Token of the creature that was mounted.
+     * @param {object} config          Whether the mount is controlled and the position the rider was moved to.
+     */
+    Hooks.callAll("dnd5e.mount", this, mount, config);
+
+    return this;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Dismount this token's creature from its current mount, restoring independent movement.
+   * @returns {Promise<TokenDocument5e|void>}
+   */
+  async dismount() {
+    if ( !this.getFlag("dnd5e", "mount.id") ) return;
+    const mount = this.mount;
+
+    /**
+     * A hook event that fires before a creature dismounts.
+     * @function dnd5e.preDismount
+     * @memberof hookEvents
+     * @param {TokenDocument5e} rider       Token of the creature dismounting.
+     * @param {TokenDocument5e|null} mount  Token of the creature being dismounted, if it still exists.
+     * @returns {boolean}                   Explicitly return `false` to prevent dismounting.
+     */
+    if ( Hooks.call("dnd5e.preDismount", this, mount) === false ) return;
+
+    await this.update({ "flags.dnd5e.-=mount": null });
+
+    /**
+     * A hook event that fires after a creature has dismounted.
+     * @function dnd5e.dismount
+     * @memberof hookEvents
+     * @param {TokenDocument5e} rider       Token of the creature that dismounted.
+     * @param {TokenDocument5e|null} mount  Token of the creature that was dismounted, if it still exists.
+     */
+    Hooks.callAll("dnd5e.dismount", this, mount);
+
+    return this;
+  }
+
+  /* -------------------------------------------- */
+
+  /**
+   * Move any riders along with this token. Riders whose conditions prevent them from moving or keep them prone are
+   * left behind and dismounted.
+   * @param {{x: number, y: number}} delta  Distance this token moved on each axis.
+   * @param {string} userId                 ID of the user who moved this token.
+   * @protected
+   */
+  _moveRiders(delta, userId) {
+    const riders = this.riders;
+    if ( !riders.length ) return;
+
+    // Riders are moved by the user who moved the mount if they can, otherwise by the active GM
+    const user = game.users.get(userId);
+    const canMove = riders.every(r => r.canUserModify(user, "update"));
+    if ( canMove ? (userId !== game.user.id) : (game.user !== game.users.activeGM) ) return;
+
+    const updates = riders.map(rider => {
+      const actor = rider.actor;
+      if ( actor?.hasConditionEffect("noMovement") || actor?.hasConditionEffect("crawl") ) {
+        return { _id: rider.id, "flags.dnd5e.-=mount": null };
+      }
+      return { _id: rider.id, x: rider.x + delta.x, y: rider.y + delta.y };
+    });
+    this.parent.updateEmbeddedDocuments("Token", updates, { dnd5e: { carried: true } });
   }
 
   /* -------------------------------------------- */
@@ -269,6 +539,16 @@ export default class TokenDocument5e extends SystemFlagsMixin(TokenDocument) {
 
     const origin = this.actor?.getFlag("dnd5e", "summon.origin");
     // TODO: Replace with parseUuid once V11 support is dropped
-    if ( origin ) SummonsData.untrackSummon(origin.split(".Item.")[0], this.actor.uuid);
+    if ( origin ) {
+      const summoner = origin.split(".Item.")[0];
+      SummonsData.untrackSummon(summoner, this.actor.uuid);
+      fromUuidSync(summoner)?.sheet?.render();
+    }
+
+    // Riders of a removed mount are dismounted
+    const riders = this.riders;
+    if ( (userId === game.user.id) && riders.length ) {
+      this.parent.updateEmbeddedDocuments("Token", riders.map(r => ({ _id: r.id, "flags.dnd5e.-=mount": null })));
+    }
   }
 }
@@ -1100,13 +1100,18 @@ async function rollAction(event) {
           case "check":
             await actor.rollAbilityTest(ability, options);
             break;
+          case "death":
+            await actor.rollDeathSave(options);
+            break;
           case "concentration":
             if ( ability in CONFIG.DND5E.abilities ) options.ability = ability;
             await actor.rollConcentration(options);
             break;
-          case "save":
-            await actor.rollAbilitySave(ability, options);
+          case "save": {
+            const roll = await actor.rollAbilitySave(ability, options);
+            if ( target.dataset.effect ) await (await fromUuid(target.dataset.effect))?.resolveOngoingSave(actor, roll);
             break;
+          }
           case "skill":
             if ( ability ) options.ability = ability;
             await actor.rollSkill(skill, options);
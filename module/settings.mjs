@@ -58,6 +58,16 @@ export function registerSystemSettings() {
     }
   });
 
+  // Timed Rests
+  game.settings.register("dnd5e", "timedRests", {
+    name: "SETTINGS.DND5E.TIMEDRESTS.Name",
+    hint: "SETTINGS.DND5E.TIMEDRESTS.Hint",
+    scope: "world",
+    config: true,
+    default: false,
+    type: Boolean
+  });
+
   // Diagonal Movement Rule
   game.settings.register("dnd5e", "diagonalMovement", {
     name: "SETTINGS.5eDiagN",
@@ -180,6 +190,83 @@ export function registerSystemSettings() {
     type: Boolean
   });
 
+  // Automatic Recharge Rolls
+  game.settings.register("dnd5e", "autoRecharge", {
+    name: "SETTINGS.DND5E.AUTORECHARGE.Name",
+    hint: "SETTINGS.DND5E.AUTORECHARGE.Hint",
+    scope: "world",
+    config: true,
+    default: "auto",
+    type: String,
+    choices: {
+      auto: "SETTINGS.DND5E.AUTORECHARGE.Automatic",
+      prompt: "SETTINGS.DND5E.AUTORECHARGE.Prompt",
+      off: "SETTINGS.DND5E.AUTORECHARGE.Off"
+    }
+  });
+
+  // Combat Effect Expiration
+  game.settings.register("dnd5e", "combatEffectExpiration", {
+    name: "SETTINGS.DND5E.COMBATEXPIRATION.Name",
+    hint: "SETTINGS.DND5E.COMBATEXPIRATION.Hint",
+    scope: "world",
+    config: true,
+    default: "prompt",
+    type: String,
+    choices: {
+      auto: "SETTINGS.DND5E.COMBATEXPIRATION.Automatic",
+      prompt: "SETTINGS.DND5E.COMBATEXPIRATION.Prompt",
+      none: "SETTINGS.DND5E.COMBATEXPIRATION.None"
+    }
+  });
+
+  // Automatic Death Saves
+  game.settings.register("dnd5e", "deathSaveAutomation", {
+    name: "SETTINGS.DND5E.DEATHSAVES.Name",
+    hint: "SETTINGS.DND5E.DEATHSAVES.Hint",
+    scope: "world",
+    config: true,
+    default: "request",
+    type: String,
+    choices: {
+      request: "SETTINGS.DND5E.DEATHSAVES.Request",
+      roll: "SETTINGS.DND5E.DEATHSAVES.Roll",
+      none: "SETTINGS.DND5E.DEATHSAVES.None"
+    }
+  });
+
+  // Action Economy Tracking
+  game.settings.register("dnd5e", "actionEconomy", {
+    name: "SETTINGS.DND5E.ACTIONECONOMY.Name",
+    hint: "SETTINGS.DND5E.ACTIONECONOMY.Hint",
+    scope: "world",
+    config: true,
+    default: "warn",
+    type: String,
+    choices: {
+      warn: "SETTINGS.DND5E.ACTIONECONOMY.Warn",
+      block: "SETTINGS.DND5E.ACTIONECONOMY.Block",
+      off: "SETTINGS.DND5E.ACTIONECONOMY.Off"
+    },
+    onChange: () => ui.combat.render()
+  });
+
+  // Movement Budget Tracking
+  game.settings.register("dnd5e", "movementTracking", {
+    name: "SETTINGS.DND5E.MOVEMENTTRACKING.Name",
+    hint: "SETTINGS.DND5E.MOVEMENTTRACKING.Hint",
+    scope: "world",
+    config: true,
+    default: "warn",
+    type: String,
+    choices: {
+      warn: "SETTINGS.DND5E.MOVEMENTTRACKING.Warn",
+      block: "SETTINGS.DND5E.MOVEMENTTRACKING.Block",
+      off: "SETTINGS.DND5E.MOVEMENTTRACKING.Off"
+    },
+    onChange: () => ui.combat.render()
+  });
+
   // Collapse Item Cards (by default)
   game.settings.register("dnd5e", "autoCollapseItemCards", {
     name: "SETTINGS.5eAutoCollapseCardN",